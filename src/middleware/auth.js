@@ -1,19 +1,28 @@
+const { isAuthEnabled, findKey, isRouteAllowed, getKeyRejection } = require('../utils/apiKeys');
+const { getMetricsAuth } = require('../utils/metrics');
+
 /**
  * Authentication Middleware
- * Checks for API token if configured in environment
- * Excludes /, /swagger and /health endpoints from authentication
+ * Checks for an API key if any are configured (API_KEYS_FILE, API_KEYS or API_TOKEN)
+ * Excludes /, /swagger, /health and /ready endpoints from authentication, and
+ * /img, whose URLs carry their own signature, and /metrics unless
+ * METRICS_AUTH is "api"
+ * The matched key is available as req.apiKey for later checks and logging.
  */
 
 const authMiddleware = (req, res, next) => {
-  const apiToken = process.env.API_TOKEN;
+  // If no key is configured, allow all requests
+  if (!isAuthEnabled()) {
+    return next();
+  }
 
-  // If no token is configured, allow all requests
-  if (!apiToken || apiToken.trim() === '') {
+  // Exclude root redirect, Swagger UI, health/readiness checks and signed image URLs from authentication
+  if (req.path === '/' || req.path === '/health' || req.path === '/ready' || req.path.startsWith('/swagger') || req.path.startsWith('/img/')) {
     return next();
   }
 
-  // Exclude root redirect, Swagger UI, and health check from authentication
-  if (req.path === '/' || req.path === '/health' || req.path.startsWith('/swagger')) {
+  // /metrics may use its own token or no authentication
+  if (req.path === '/metrics' && ['token', 'none'].includes(getMetricsAuth())) {
     return next();
   }
 
@@ -32,13 +41,34 @@ const authMiddleware = (req, res, next) => {
     ? authHeader.substring(7)
     : authHeader;
 
-  if (token !== apiToken) {
+  const apiKey = findKey(token);
+
+  if (!apiKey) {
     return res.status(403).json({
       success: 0,
       errormessage: 'Invalid API token.'
     });
   }
 
+  req.apiKey = apiKey;
+
+  const rejection = getKeyRejection(apiKey);
+  if (rejection) {
+    return res.status(403).json({
+      success: 0,
+      errormessage: rejection
+    });
+  }
+
+  // Routes are identified by their first path segment (/frames/extract -> frames)
+  const route = req.path.split('/')[1];
+  if (!isRouteAllowed(apiKey, route)) {
+    return res.status(403).json({
+      success: 0,
+      errormessage: `API key "${apiKey.name}" is not allowed to use /${route}.`
+    });
+  }
+
   next();
 };
 
@@ -1,10 +1,23 @@
+const logger = require('../utils/logger');
+const { redactPaths } = require('../utils/imagemagick');
+
 /**
  * Global Error Handler Middleware
  * Catches all errors and returns consistent JSON response
+ * Server errors are logged with their stack, client errors as warnings.
+ * Directories are stripped from logged messages and stacks.
  */
 
 const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', err);
+  const status = err.statusCode || err.status || 500;
+  logger[status >= 500 ? 'error' : 'warn']('Request failed', {
+    requestId: req.id,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    status,
+    error: redactPaths(err.message),
+    stack: status >= 500 && err.stack ? redactPaths(err.stack) : undefined
+  });
 
   // Handle multer file size errors
   if (err.code === 'LIMIT_FILE_SIZE') {
@@ -14,11 +27,19 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Handle oversized JSON bodies (base64 images)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: 0,
+      errormessage: `Request body too large. Images in JSON bodies may be at most ${process.env.MAX_FILE_SIZE || 52428800} bytes (before base64 encoding).`
+    });
+  }
+
   // Handle multer field errors
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     return res.status(400).json({
       success: 0,
-      errormessage: 'Unexpected file field. Please use "image" as the field name.'
+      errormessage: `Unexpected file field${err.field ? ` "${err.field}"` : ''}. Please use "image" as the field name ("image" and "overlay" for /composite, "frames" for /frames/assemble).`
     });
   }
 
@@ -30,6 +51,11 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Busy server: tell clients when to retry
+  if (err.retryAfter) {
+    res.setHeader('Retry-After', String(err.retryAfter));
+  }
+
   // Default error response
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal server error';
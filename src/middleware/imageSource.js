@@ -0,0 +1,156 @@
+const { fetchRemoteImage } = require('../utils/remoteImage');
+const { detectMimeType } = require('../utils/fileHandler');
+
+/**
+ * Image Source Middleware
+ * Lets routes accept images from other sources than a multipart upload:
+ *   - <field>: base64 string or data URI (e.g. in a JSON body)
+ *   - <field>Url: http(s) URL to download (e.g. imageUrl)
+ * The decoded image is exposed like a multer upload, so routes handle
+ * all sources the same way. Must run after the multer middleware.
+ */
+
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[\w-]+=[^;,]*)*);base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+/**
+ * Create error with HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Decode a base64 string or data URI into a multer-like file object
+ * The format comes from the data URI, or is sniffed from the bytes.
+ * @param {string} value - Base64 string or data URI
+ * @param {string} field - Field name for error messages
+ * @param {number} maxFileSize - Maximum decoded size in bytes
+ * @returns {Object} File object ({ buffer, mimetype, originalname, size })
+ * @throws {Error} 400 if the value is not valid base64, 413 if too large
+ */
+const decodeBase64Image = (value, field, maxFileSize) => {
+  let data = value;
+  let mimetype = null;
+
+  const dataUri = value.match(DATA_URI_PATTERN);
+  if (dataUri) {
+    mimetype = dataUri[1] ? dataUri[1].toLowerCase() : null;
+    data = value.slice(dataUri[0].length);
+  } else if (value.startsWith('data:')) {
+    throw httpError(`Parameter '${field}' must be a base64 data URI (data:<mimetype>;base64,...)`, 400);
+  }
+
+  data = data.replace(/\s/g, '');
+  if (!data || !BASE64_PATTERN.test(data)) {
+    throw httpError(`Parameter '${field}' must be a base64 encoded image or data URI`, 400);
+  }
+
+  const buffer = Buffer.from(data, 'base64');
+  if (buffer.length > maxFileSize) {
+    throw httpError(`File too large. Maximum size is ${maxFileSize} bytes.`, 413);
+  }
+
+  // Generic or missing data URI types are resolved from the content
+  if (!mimetype || mimetype === 'application/octet-stream') {
+    mimetype = detectMimeType(buffer) || 'application/octet-stream';
+  }
+
+  return {
+    originalname: field,
+    mimetype,
+    buffer,
+    size: buffer.length
+  };
+};
+
+/**
+ * Get the upload limit for a request
+ * An API key with its own maxFileSize can only lower MAX_FILE_SIZE.
+ * @param {Object} req - Express request
+ * @returns {number} Maximum image size in bytes
+ */
+const getMaxFileSize = (req) => {
+  const maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '52428800', 10);
+  const keyLimit = req.apiKey && req.apiKey.maxFileSize;
+  return keyLimit ? Math.min(maxFileSize, keyLimit) : maxFileSize;
+};
+
+/**
+ * Create middleware that resolves base64 and URL image sources
+ * A single field is stored in req.file (like upload.single()), several
+ * fields in req.files by field name (like upload.fields()). With
+ * options.array, the field holds a list of images stored in req.files
+ * (like upload.array()). Uploaded files are checked against the API key's
+ * maxFileSize.
+ * @param {string[]} fields - Upload field names (default: ['image'])
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.array - Field is a list of base64 images
+ * @returns {Function} Express middleware
+ */
+const imageSource = (fields = ['image'], options = {}) => async (req, res, next) => {
+  const byField = fields.length > 1;
+  const maxFileSize = getMaxFileSize(req);
+
+  try {
+    for (const field of fields) {
+      const value = req.body && req.body[field];
+      const url = req.body && req.body[`${field}Url`];
+      if (!value && !url) continue;
+
+      let uploaded = req.file;
+      if (options.array) {
+        uploaded = req.files && req.files.length > 0;
+      } else if (byField) {
+        uploaded = req.files && req.files[field];
+      }
+      if (uploaded || (value && url)) {
+        throw httpError(`Provide only one of "${field}" (upload or base64) and "${field}Url"`, 400);
+      }
+
+      let files;
+      if (options.array) {
+        if (url || !Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+          throw httpError(`Parameter '${field}' must be an array of base64 encoded images or data URIs`, 400);
+        }
+        files = value.map(entry => decodeBase64Image(entry, field, maxFileSize));
+      } else if (value) {
+        if (typeof value !== 'string') {
+          throw httpError(`Parameter '${field}' must be a base64 encoded image or data URI`, 400);
+        }
+        files = [decodeBase64Image(value, field, maxFileSize)];
+      } else {
+        files = [await fetchRemoteImage(url, maxFileSize)];
+      }
+
+      // Large strings are not needed once decoded
+      delete req.body[field];
+
+      files = files.map(file => ({ ...file, fieldname: field }));
+      if (options.array) {
+        req.files = files;
+      } else if (byField) {
+        req.files = { ...req.files, [field]: files };
+      } else {
+        req.file = files[0];
+      }
+    }
+
+    // Multipart uploads were only limited by MAX_FILE_SIZE
+    const uploads = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    if (uploads.some(file => file.size > maxFileSize)) {
+      throw httpError(`File too large. Maximum size is ${maxFileSize} bytes.`, 413);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = imageSource;
@@ -0,0 +1,94 @@
+const { httpRequests, httpDuration, inputBytes, outputBytes, requestsInFlight } = require('../utils/metrics');
+
+/**
+ * Metrics Middleware
+ * Records request counts, durations and input/output sizes per route
+ * for GET /metrics. Routes are labeled by their pattern (/jobs/:id), so
+ * label cardinality stays bounded; requests that match no route
+ * (404s, rejected authentication) are labeled "unmatched".
+ */
+
+/**
+ * Get the route pattern a request was handled by
+ * Routers are mounted one segment deep. Express resets req.baseUrl when an
+ * error leaves the router, so the mount point is taken from the URL.
+ * @param {Object} req - Express request
+ * @returns {string} Route label, e.g. /frames/extract
+ */
+const getRouteLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  // Routes registered on the app itself (/health, /metrics) carry their full path
+  const urlPath = req.originalUrl.split('?')[0];
+  if (urlPath === req.route.path) {
+    return req.route.path;
+  }
+
+  const mount = `/${urlPath.split('/')[1]}`;
+  return req.route.path === '/' ? mount : `${mount}${req.route.path}`;
+};
+
+/**
+ * Sum the sizes of all uploaded images
+ * @param {Object} req - Express request
+ * @returns {number} Bytes
+ */
+const getInputSize = (req) => {
+  let files = [];
+  if (req.file) {
+    files = [req.file];
+  } else if (Array.isArray(req.files)) {
+    files = req.files;
+  } else if (req.files) {
+    files = Object.values(req.files).flat();
+  }
+  return files.reduce((total, file) => total + (file.size || 0), 0);
+};
+
+const metricsMiddleware = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+  let bytesSent = 0;
+  requestsInFlight.inc();
+
+  // Count the body as it is written (also covers streamed ZIP archives)
+  const { write, end } = res;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytesSent += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, ...args) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...args);
+  };
+  res.end = function (chunk, encoding, ...args) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...args);
+  };
+
+  let done = false;
+  const record = () => {
+    if (done) return;
+    done = true;
+    requestsInFlight.dec();
+
+    const route = getRouteLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startTime) / 1e9);
+
+    const inputSize = getInputSize(req);
+    if (inputSize > 0) {
+      inputBytes.observe({ route }, inputSize);
+    }
+    outputBytes.observe({ route }, bytesSent);
+  };
+
+  // close also fires when the client disconnects before the response is finished
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+module.exports = metricsMiddleware;
@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { runWithRequestId } = require('../utils/logger');
+
+/**
+ * Request ID Middleware
+ * Accepts the client's X-Request-Id (1-128 characters of A-Z, a-z, 0-9,
+ * "-", "_", ".", ":") or generates a UUID, echoes it in the response and
+ * binds it to all log lines written while the request is handled.
+ * The id is available as req.id.
+ */
+
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestIdMiddleware = (req, res, next) => {
+  const header = req.headers['x-request-id'];
+  req.id = typeof header === 'string' && VALID_REQUEST_ID.test(header) ? header : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+
+  runWithRequestId(req.id, () => {
+    // Body parsers (multer) continue from stream events, which would run
+    // outside of the request's context unless the emitter is bound to it
+    req.emit = AsyncLocalStorage.bind(req.emit.bind(req));
+    next();
+  });
+};
+
+module.exports = requestIdMiddleware;
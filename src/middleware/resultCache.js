@@ -0,0 +1,191 @@
+const { createCacheKey, getCacheStore } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+/**
+ * Result Cache Middleware
+ * Serves repeated requests from the content-addressed cache and answers
+ * conditional requests with 304 Not Modified.
+ *
+ * The ETag is derived from the request (input bytes, operation, parameters),
+ * not from the output, so a matching If-None-Match is answered before any
+ * processing, even if the entry was already evicted. Successful responses
+ * carry ETag and X-Cache (HIT or MISS); errors are never cached.
+ * With format=auto the Accept header is part of the key and responses carry
+ * Vary: Accept.
+ * Must run after the multer and imageSource middleware.
+ */
+
+// Response headers kept with a cached entry
+const CACHED_HEADERS = ['content-type', 'content-disposition', 'cache-control', 'vary', 'x-content-type-options'];
+
+/**
+ * Collect the uploaded images of a request in a fixed order
+ * @param {Object} req - Express request
+ * @returns {Buffer[]} Input images
+ */
+const getInputBuffers = (req) => {
+  if (req.file) {
+    return [req.file.buffer];
+  }
+  if (Array.isArray(req.files)) {
+    return req.files.map(file => file.buffer);
+  }
+  return Object.keys(req.files || {}).sort()
+    .flatMap(field => req.files[field].map(file => file.buffer));
+};
+
+/**
+ * Bring request parameters into a canonical form
+ * Keys are sorted and scalar values stringified, so multipart and JSON
+ * bodies with the same parameters share entries. Image fields are left
+ * out, their content is hashed separately.
+ * @param {Object} values - Body or query parameters
+ * @param {string[]} fileFields - Image field names to leave out
+ * @returns {Object} Canonical parameters
+ */
+const canonicalParams = (values, fileFields) => Object.keys(values || {})
+  .filter(key => !fileFields.includes(key) && !fileFields.includes(key.replace(/Url$/, '')))
+  .sort()
+  .reduce((params, key) => {
+    const value = values[key];
+    params[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return params;
+  }, {});
+
+/**
+ * Check an If-None-Match header against an ETag
+ * @param {string|undefined} header - If-None-Match request header
+ * @param {string} etag - Current ETag (quoted)
+ * @returns {boolean} True if the client copy is current
+ */
+const matchesEtag = (header, etag) => Boolean(header) && header.split(',')
+  .map(value => value.trim().replace(/^W\//, ''))
+  .some(value => value === etag || value === '*');
+
+/**
+ * Answer a request from the cache if possible
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Cache key
+ * @returns {Promise<boolean>} True if the response was sent
+ */
+const serveCached = async (req, res, key) => {
+  const etag = `"${key}"`;
+
+  if (matchesEtag(req.headers['if-none-match'], etag)) {
+    res.setHeader('ETag', etag);
+    res.status(304).end();
+    return true;
+  }
+
+  const entry = await getCacheStore().get(key);
+  if (!entry) {
+    return false;
+  }
+
+  Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('ETag', etag);
+  res.setHeader('X-Cache', 'HIT');
+  res.status(entry.status).send(entry.body);
+  return true;
+};
+
+/**
+ * Record the response of a request in the cache once it is sent
+ * Only 200 responses are stored; ETag and X-Cache are only added to them.
+ * Buffering stops once the body exceeds the maximum entry size, such
+ * responses are sent but not stored.
+ * @param {Object} res - Express response
+ * @param {string} key - Cache key
+ */
+const captureResponse = (res, key) => {
+  const { writeHead, write, end } = res;
+  const { maxEntrySize } = getCacheStore();
+  let chunks = [];
+  let size = 0;
+
+  const collect = (chunk, encoding) => {
+    if (chunks && chunk && typeof chunk !== 'function') {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      size += buffer.length;
+      if (size > maxEntrySize) {
+        chunks = null;
+        return;
+      }
+      chunks.push(buffer);
+    }
+  };
+
+  res.writeHead = function (statusCode, ...args) {
+    if (statusCode === 200) {
+      res.setHeader('ETag', `"${key}"`);
+      res.setHeader('X-Cache', 'MISS');
+    }
+    return writeHead.call(this, statusCode, ...args);
+  };
+
+  res.write = function (chunk, encoding, ...args) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, ...args);
+  };
+
+  res.end = function (chunk, encoding, ...args) {
+    collect(chunk, encoding);
+    const result = end.call(this, chunk, encoding, ...args);
+
+    if (res.statusCode === 200 && chunks) {
+      const headers = {};
+      Object.entries(res.getHeaders())
+        .filter(([name]) => CACHED_HEADERS.includes(name) || name.startsWith('x-image-'))
+        .forEach(([name, value]) => { headers[name] = value; });
+
+      getCacheStore().set(key, { status: 200, headers, body: Buffer.concat(chunks) })
+        .catch(err => logger.error('Failed to store cache entry', { key, error: err.message }));
+    }
+
+    return result;
+  };
+};
+
+/**
+ * Create middleware that caches the responses of an operation
+ * @param {string} operation - Operation name (part of the cache key)
+ * @param {string[]} fileFields - Image field names (default: ['image'])
+ * @returns {Function} Express middleware
+ */
+const resultCache = (operation, fileFields = ['image']) => async (req, res, next) => {
+  if (!getCacheStore()) {
+    return next();
+  }
+
+  try {
+    // The output format of format=auto depends on the Accept header
+    const negotiated = String((req.body || {}).format).toLowerCase() === 'auto';
+    if (negotiated) {
+      res.vary('Accept');
+    }
+
+    const params = {
+      body: canonicalParams(req.body, fileFields),
+      query: canonicalParams(req.query, []),
+      path: req.params,
+      ...(negotiated && { accept: req.headers.accept || '' })
+    };
+    const key = createCacheKey(operation, params, getInputBuffers(req));
+
+    if (await serveCached(req, res, key)) {
+      return;
+    }
+
+    captureResponse(res, key);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  resultCache,
+  serveCached,
+  captureResponse
+};
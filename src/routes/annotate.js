@@ -0,0 +1,193 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateStrings, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { GRAVITIES, parseColor } = require('../utils/pipeline');
+const { listFonts, annotateImage } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { ensureWritableFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Parse signed integer offset
+ * @param {string|undefined} value - Raw value
+ * @param {string} name - Parameter name for the error message
+ * @returns {number} Offset (0 if not provided)
+ */
+const parseOffset = (value, name) => {
+  if (value === undefined || value === '') return 0;
+  const offset = Number(value);
+  if (!Number.isInteger(offset)) {
+    throw new Error(`Parameter '${name}' must be an integer`);
+  }
+  return offset;
+};
+
+/**
+ * POST /annotate
+ * Draw text onto an image
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - text: Text to draw, newlines allowed (required)
+ *     - font: Font name or family from GET /fonts (optional)
+ *     - pointsize: Font size in points (optional, default 24)
+ *     - fill: Text color (optional, default white)
+ *     - stroke: Outline color (optional)
+ *     - strokeWidth: Outline width (optional, default 1)
+ *     - gravity: Placement anchor - center, north, ..., southeast (optional, default south)
+ *     - x: Horizontal offset from the anchor, may be negative (optional, default 0)
+ *     - y: Vertical offset from the anchor, may be negative (optional, default 0)
+ *     - angle: Rotation in degrees, -360 to 360 (optional, default 0)
+ *     - box: Background box color behind the text, e.g. rgba(0,0,0,0.5) (optional)
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - image: Base64 encoded annotated image (on success)
+ *   - Applied text parameters (without the text itself)
+ *   - errormessage: Error description (on error)
+ */
+router.post('/', upload.single('image'), imageSource(), resultCache('annotate'), async (req, res, next) => {
+  let inputPath = null;
+  let outputPath = null;
+
+  try {
+    // Validate uploaded file
+    validateFile(req.file);
+
+    // Get parameters
+    const { text, font, pointsize, fill, stroke, strokeWidth, gravity, x, y, angle, box } = req.body;
+
+    // Validate required parameters
+    validateParams({ text }, ['text']);
+    validateStrings({ text, font, gravity }, ['text', 'font', 'gravity']);
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Text must not be longer than ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    // Validate numeric parameters
+    validateNumeric({ pointsize, strokeWidth }, ['pointsize', 'strokeWidth']);
+    const size = pointsize ? parseFloat(pointsize) : 24;
+    if (size < 1 || size > 1000) {
+      throw new Error('Pointsize must be between 1 and 1000');
+    }
+    const outlineWidth = strokeWidth ? parseFloat(strokeWidth) : 1;
+    const offsetX = parseOffset(x, 'x');
+    const offsetY = parseOffset(y, 'y');
+
+    const rotation = angle !== undefined && angle !== '' ? Number(angle) : 0;
+    if (isNaN(rotation) || rotation < -360 || rotation > 360) {
+      throw new Error('Angle must be between -360 and 360');
+    }
+
+    const anchor = gravity ? gravity.toLowerCase() : 'south';
+    if (!GRAVITIES.includes(anchor)) {
+      throw new Error(`Invalid gravity. Supported values: ${GRAVITIES.join(', ')}`);
+    }
+
+    // Validate colors
+    const fillColor = fill ? parseColor(fill, 'fill') : 'white';
+    const strokeColor = stroke ? parseColor(stroke, 'stroke') : null;
+    const boxColor = box ? parseColor(box, 'box') : null;
+
+    // Validate font against the installed fonts (name or family)
+    let typeface = {};
+    if (font) {
+      const fonts = await listFonts();
+      const byName = fonts.find(entry => entry.name.toLowerCase() === font.toLowerCase());
+      const byFamily = fonts.find(entry => entry.family && entry.family.toLowerCase() === font.toLowerCase());
+
+      if (byName) {
+        typeface = { font: byName.name };
+      } else if (byFamily) {
+        typeface = { family: byFamily.family };
+      } else {
+        throw new Error(`Unknown font "${font}". See GET /fonts for available fonts.`);
+      }
+    }
+
+    // Save input file
+    const inputExt = getExtension(req.file.mimetype);
+    inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
+
+    // Generate output path (keep original format, JPEG/PNG/GIF if it cannot be written)
+    const outputExt = await ensureWritableFormat(inputPath, inputExt, frameSizes.length);
+    outputPath = inputPath.replace(/\.[^.]+$/, `_annotated.${outputExt}`);
+
+    await annotateImage(inputPath, outputPath, {
+      text,
+      typeface,
+      pointsize: size,
+      fill: fillColor,
+      stroke: strokeColor,
+      strokeWidth: outlineWidth,
+      gravity: anchor,
+      x: offsetX,
+      y: offsetY,
+      angle: rotation,
+      box: boxColor
+    }, outputExt);
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Read output image
+    const imageBuffer = await fs.readFile(outputPath);
+
+    // Prepare metadata
+    const metadata = {
+      format: outputExt,
+      font: typeface.font || typeface.family || 'default',
+      pointsize: size,
+      fill: fillColor,
+      ...(strokeColor && { stroke: strokeColor, strokeWidth: outlineWidth }),
+      gravity: anchor,
+      x: offsetX,
+      y: offsetY,
+      angle: rotation,
+      ...(boxColor && { box: boxColor })
+    };
+
+    // Send response based on mode
+    if (responseMode === 'binary') {
+      binaryResponse(res, imageBuffer, metadata, outputExt, `annotated.${outputExt}`);
+    } else {
+      const base64Image = imageBuffer.toString('base64');
+      res.json(successResponse(base64Image, {
+        mimetype: getMimeType(outputExt),
+        ...metadata
+      }));
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, outputPath]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath || outputPath) {
+      await cleanupFiles([inputPath, outputPath].filter(Boolean));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
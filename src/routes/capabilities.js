@@ -0,0 +1,27 @@
+const express = require('express');
+const { getCapabilities } = require('../utils/capabilities');
+
+const router = express.Router();
+
+/**
+ * GET /capabilities
+ * Formats and operations supported by this instance
+ *
+ * Formats are matched against `magick -list format` at startup, so the
+ * lists reflect the installed ImageMagick and its delegates.
+ *
+ * Response:
+ *   - success: 1
+ *   - imagemagick: Version and built-in delegates (null if unknown)
+ *   - formatSource: imagemagick, or defaults if the format list could not be read
+ *   - formats: Array of { name, aliases, mimeType, extensions, read, write, alpha, animation, multiFrame, lossy, vector, document }
+ *   - operations: Array of { name, method, path, description, parameters }
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: 1,
+    ...getCapabilities()
+  });
+});
+
+module.exports = router;
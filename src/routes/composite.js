@@ -0,0 +1,173 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateStrings, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { GRAVITIES } = require('../utils/pipeline');
+const { getImageDimensions, compositeImage } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { ensureWritableFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+// Blend modes mapped to ImageMagick compose methods
+const BLEND_MODES = {
+  over: 'Over',
+  multiply: 'Multiply',
+  screen: 'Screen',
+  overlay: 'Overlay',
+  darken: 'Darken',
+  lighten: 'Lighten'
+};
+
+/**
+ * POST /composite
+ * Composite an overlay (e.g. a watermark) onto an image
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Base image file or base64 string/data URI (required unless imageUrl is given)
+ *     - overlay: Overlay image file or base64 string/data URI (required unless overlayUrl is given)
+ *     - imageUrl, overlayUrl: http(s) URLs to fetch the images from (alternative to the uploads)
+ *     - gravity: Placement anchor - center, north, ..., southeast (optional, default southeast)
+ *     - x: Horizontal offset from the anchor in pixels (optional, default 0)
+ *     - y: Vertical offset from the anchor in pixels (optional, default 0)
+ *     - opacity: Overlay opacity 0-100 (optional, default 100)
+ *     - scale: Overlay width relative to the base width, 0-1 (optional, e.g. 0.25)
+ *     - tile: 'true' to repeat the overlay over the whole image (optional)
+ *     - blend: over, multiply, screen, overlay, darken or lighten (optional, default over)
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - image: Base64 encoded composited image (on success)
+ *   - Applied placement parameters
+ *   - errormessage: Error description (on error)
+ */
+router.post('/', upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'overlay', maxCount: 1 }
+]), imageSource(['image', 'overlay']), resultCache('composite', ['image', 'overlay']), async (req, res, next) => {
+  let inputPath = null;
+  let overlayPath = null;
+  let outputPath = null;
+
+  try {
+    // Validate uploaded files
+    const imageFile = req.files && req.files.image && req.files.image[0];
+    const overlayFile = req.files && req.files.overlay && req.files.overlay[0];
+
+    validateFile(imageFile);
+    if (!overlayFile) {
+      throw new Error('No overlay file provided. Please upload an overlay using the "overlay" field or pass an "overlayUrl".');
+    }
+    validateFile(overlayFile);
+
+    // Get parameters
+    const { gravity, x, y, opacity, scale, tile, blend } = req.body;
+
+    // Validate parameter types
+    validateNumeric({ x, y, opacity, scale }, ['x', 'y', 'opacity', 'scale']);
+    validateStrings({ gravity, blend }, ['gravity', 'blend']);
+
+    const anchor = gravity ? gravity.toLowerCase() : 'southeast';
+    if (!GRAVITIES.includes(anchor)) {
+      throw new Error(`Invalid gravity. Supported values: ${GRAVITIES.join(', ')}`);
+    }
+
+    const opacityNum = opacity !== undefined && opacity !== '' ? parseFloat(opacity) : 100;
+    if (opacityNum > 100) {
+      throw new Error('Opacity must be between 0 and 100');
+    }
+
+    const scaleNum = scale ? parseFloat(scale) : null;
+    if (scaleNum !== null && (scaleNum <= 0 || scaleNum > 1)) {
+      throw new Error('Scale must be greater than 0 and at most 1');
+    }
+
+    const blendMode = blend ? blend.toLowerCase() : 'over';
+    if (!Object.prototype.hasOwnProperty.call(BLEND_MODES, blendMode)) {
+      throw new Error(`Invalid blend mode. Supported values: ${Object.keys(BLEND_MODES).join(', ')}`);
+    }
+
+    const tiled = ['true', '1', 'yes'].includes(String(tile).toLowerCase());
+    const offsetX = x ? parseInt(x, 10) : 0;
+    const offsetY = y ? parseInt(y, 10) : 0;
+
+    // Save input files
+    const inputExt = getExtension(imageFile.mimetype);
+    inputPath = await saveTempFile(imageFile.buffer, inputExt);
+    overlayPath = await saveTempFile(overlayFile.buffer, getExtension(overlayFile.mimetype));
+    const frameSizes = await checkImageLimits(inputPath);
+    await checkImageLimits(overlayPath, { label: 'Overlay' });
+
+    // Generate output path (keep original format, JPEG/PNG/GIF if it cannot be written)
+    const outputExt = await ensureWritableFormat(inputPath, inputExt, frameSizes.length);
+    outputPath = inputPath.replace(/\.[^.]+$/, `_composite.${outputExt}`);
+
+    // Base size is needed for relative scaling and tiling
+    const baseSize = await getImageDimensions(inputPath);
+    const overlayWidth = scaleNum ? Math.max(1, Math.round(baseSize.width * scaleNum)) : null;
+
+    await compositeImage(inputPath, overlayPath, outputPath, {
+      gravity: anchor,
+      x: offsetX,
+      y: offsetY,
+      opacity: opacityNum,
+      overlayWidth,
+      tile: tiled,
+      blend: BLEND_MODES[blendMode],
+      baseSize
+    }, outputExt);
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Read output image
+    const imageBuffer = await fs.readFile(outputPath);
+
+    // Prepare metadata
+    const metadata = {
+      format: outputExt,
+      blend: blendMode,
+      opacity: opacityNum,
+      tile: tiled,
+      ...(!tiled && { gravity: anchor, x: offsetX, y: offsetY }),
+      ...(scaleNum && { scale: scaleNum })
+    };
+
+    // Send response based on mode
+    if (responseMode === 'binary') {
+      binaryResponse(res, imageBuffer, metadata, outputExt, `composite.${outputExt}`);
+    } else {
+      const base64Image = imageBuffer.toString('base64');
+      res.json(successResponse(base64Image, {
+        mimetype: getMimeType(outputExt),
+        ...metadata
+      }));
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, overlayPath, outputPath]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath || overlayPath || outputPath) {
+      await cleanupFiles([inputPath, overlayPath, outputPath].filter(Boolean));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
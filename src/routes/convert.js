@@ -1,9 +1,15 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
-const { validateFile, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
+const { validateFile, validateStrings, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
 const { saveTempFile, readFileAsBase64, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
 const { convertFormat } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { chooseOutputFormat } = require('../utils/negotiation');
+const { getOutputFormats, normalizeFormat, checkCodec } = require('../utils/formats');
+const { parseEffort } = require('../utils/pipeline');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
 
 const router = express.Router();
 const upload = multer({
@@ -18,18 +24,22 @@ const upload = multer({
  * Convert image between different formats
  *
  * Request:
- *   - Body (multipart/form-data):
- *     - image: Image file (required)
- *     - format: Target format - png, jpg, webp, gif, bmp, tiff, svg (required)
- *     - quality: Image quality for lossy formats like jpg/webp (1-100, optional)
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - format: Target format - any writable format of GET /capabilities, e.g. png, jpg, webp, gif, bmp, tiff, svg,
+ *       or 'auto' to pick it from the Accept header (required)
+ *     - quality: Image quality for lossy formats like jpg/webp/avif (1-100, optional)
+ *     - effort: Encoder effort for avif, heic and jxl (1 = fastest, 9 = smallest files, optional)
  *
  * Response:
  *   - success: 1 on success, 0 on error
  *   - image: Base64 encoded converted image (on success)
  *   - format: Output format
+ *   - effort: Applied encoder effort (if given)
  *   - errormessage: Error description (on error)
  */
-router.post('/', upload.single('image'), async (req, res, next) => {
+router.post('/', upload.single('image'), imageSource(), resultCache('convert'), async (req, res, next) => {
   let inputPath = null;
   let outputPath = null;
 
@@ -38,10 +48,11 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     validateFile(req.file);
 
     // Get parameters
-    const { format, quality } = req.body;
+    const { format, quality, effort } = req.body;
 
     // Validate required parameters
     validateParams({ format }, ['format']);
+    validateStrings({ format }, ['format']);
 
     // Validate quality if provided
     if (quality) {
@@ -52,24 +63,33 @@ router.post('/', upload.single('image'), async (req, res, next) => {
       }
     }
 
+    const effortNum = parseEffort(effort);
+
     // Validate format
-    const validFormats = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'bmp', 'tiff', 'svg'];
-    const targetFormat = format.toLowerCase();
-    if (!validFormats.includes(targetFormat)) {
+    const validFormats = ['auto', ...getOutputFormats()];
+    const requestedFormat = format.toLowerCase();
+    checkCodec(requestedFormat, 'write');
+    if (!validFormats.includes(requestedFormat)) {
       throw new Error(`Invalid format. Supported formats: ${validFormats.join(', ')}`);
     }
 
     // Save input file
     const inputExt = getExtension(req.file.mimetype);
     inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
+
+    // Resolve format=auto from the Accept header
+    const targetFormat = requestedFormat === 'auto'
+      ? await chooseOutputFormat(req, res, inputPath, inputExt, frameSizes.length, true)
+      : requestedFormat;
 
     // Generate output path
-    const outputExt = targetFormat === 'jpeg' ? 'jpg' : targetFormat;
+    const outputExt = normalizeFormat(targetFormat);
     outputPath = inputPath.replace(/\.[^.]+$/, `_converted.${outputExt}`);
 
     // Convert format
     const qualityNum = quality ? parseInt(quality, 10) : null;
-    await convertFormat(inputPath, outputPath, targetFormat, qualityNum);
+    await convertFormat(inputPath, outputPath, targetFormat, qualityNum, effortNum);
 
     // Get response mode
     const responseMode = req.query.responseMode || 'base64';
@@ -86,14 +106,16 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     if (responseMode === 'binary') {
       binaryResponse(res, imageBuffer, {
         format: outputExt,
-        quality: qualityNum || 'default'
+        quality: qualityNum || 'default',
+        ...(effortNum && { effort: effortNum })
       }, outputExt, `converted.${outputExt}`);
     } else {
       const base64Image = imageBuffer.toString('base64');
       res.json(successResponse(base64Image, {
         mimetype: getMimeType(outputExt),
         format: outputExt,
-        quality: qualityNum || 'default'
+        quality: qualityNum || 'default',
+        ...(effortNum && { effort: effortNum })
       }));
     }
 
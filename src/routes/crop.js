@@ -1,9 +1,13 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
-const { validateFile, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
+const { validateFile, validateStrings, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
 const { saveTempFile, readFileAsBase64, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
 const { cropImage, trimImage } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { isAutoFormat, chooseOutputFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
 
 const router = express.Router();
 const upload = multer({
@@ -18,9 +22,11 @@ const upload = multer({
  * Crop image to specific dimensions or auto-trim borders
  *
  * Request:
- *   - Body (multipart/form-data):
- *     - image: Image file (required)
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
  *     - mode: 'manual' or 'trim' (required)
+ *     - format: 'auto' to pick the output format from the Accept header (optional, default: input format)
  *
  *     For mode='manual':
  *       - width: Crop width in pixels (required)
@@ -37,7 +43,7 @@ const upload = multer({
  *   - mode: Crop mode used
  *   - errormessage: Error description (on error)
  */
-router.post('/', upload.single('image'), async (req, res, next) => {
+router.post('/', upload.single('image'), imageSource(), resultCache('crop'), async (req, res, next) => {
   let inputPath = null;
   let outputPath = null;
 
@@ -46,10 +52,11 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     validateFile(req.file);
 
     // Get parameters
-    const { mode, width, height, x, y } = req.body;
+    const { mode, width, height, x, y, format } = req.body;
 
     // Validate required parameters
     validateParams({ mode }, ['mode']);
+    validateStrings({ mode }, ['mode']);
 
     const cropMode = mode.toLowerCase();
 
@@ -57,13 +64,18 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     if (!['manual', 'trim'].includes(cropMode)) {
       throw new Error('Mode must be "manual" or "trim"');
     }
+    const autoFormat = isAutoFormat(format);
 
     // Save input file
     const inputExt = getExtension(req.file.mimetype);
     inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
 
-    // Generate output path (keep original format)
-    outputPath = inputPath.replace(/\.[^.]+$/, `_cropped.${inputExt}`);
+    // Pick the output format (format=auto negotiates it from the Accept header)
+    const outputExt = await chooseOutputFormat(req, res, inputPath, inputExt, frameSizes.length, autoFormat);
+
+    // Generate output path
+    outputPath = inputPath.replace(/\.[^.]+$/, `_cropped.${outputExt}`);
 
     if (cropMode === 'manual') {
       // Validate manual crop parameters
@@ -75,10 +87,10 @@ router.post('/', upload.single('image'), async (req, res, next) => {
       const cropX = parseInt(x, 10);
       const cropY = parseInt(y, 10);
 
-      await cropImage(inputPath, outputPath, cropWidth, cropHeight, cropX, cropY, inputExt);
+      await cropImage(inputPath, outputPath, cropWidth, cropHeight, cropX, cropY, outputExt);
     } else {
       // Auto-trim mode
-      await trimImage(inputPath, outputPath, inputExt);
+      await trimImage(inputPath, outputPath, outputExt);
     }
 
     // Get response mode
@@ -94,7 +106,7 @@ router.post('/', upload.single('image'), async (req, res, next) => {
 
     // Prepare metadata
     const metadata = {
-      format: inputExt,
+      format: outputExt,
       mode: cropMode,
       ...(cropMode === 'manual' && {
         width: parseInt(width, 10),
@@ -106,11 +118,11 @@ router.post('/', upload.single('image'), async (req, res, next) => {
 
     // Send response based on mode
     if (responseMode === 'binary') {
-      binaryResponse(res, imageBuffer, metadata, inputExt, `cropped.${inputExt}`);
+      binaryResponse(res, imageBuffer, metadata, outputExt, `cropped.${outputExt}`);
     } else {
       const base64Image = imageBuffer.toString('base64');
       res.json(successResponse(base64Image, {
-        mimetype: getMimeType(inputExt),
+        mimetype: getMimeType(outputExt),
         ...metadata
       }));
     }
@@ -0,0 +1,28 @@
+const express = require('express');
+const { listFonts } = require('../utils/imagemagick');
+
+const router = express.Router();
+
+/**
+ * GET /fonts
+ * List fonts available for /annotate
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - fonts: Array of { name, family, style, weight }
+ *   - errormessage: Error description (on error)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const fonts = await listFonts();
+    res.json({
+      success: 1,
+      count: fonts.length,
+      fonts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateStrings, validateNumeric, successResponse, binaryResponse, zipResponse } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { getOutputFormats, normalizeFormat, checkCodec } = require('../utils/formats');
+const { extractFrame, extractAllFrames, assembleAnimation } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+const MAX_FRAMES = 100;
+
+// Frames of one /frames/assemble request, in bytes (all frames are held in memory)
+const getMaxAssembleSize = () => parseInt(process.env.MAX_ASSEMBLE_SIZE || '104857600', 10);
+
+/**
+ * Create error with HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assembleTooLarge = () => httpError(`Frames too large. All frames together may be at most ${getMaxAssembleSize()} bytes.`, 413);
+
+// Bytes received per request, across all of its frames
+const receivedBytes = new WeakMap();
+
+/**
+ * Multer storage that keeps uploads in memory, like memoryStorage, but
+ * aborts the request once all files together exceed MAX_ASSEMBLE_SIZE
+ * (multer's own limits only apply per file).
+ */
+const assembleStorage = {
+  _handleFile: (req, file, cb) => {
+    const maxSize = getMaxAssembleSize();
+    let chunks = [];
+
+    file.stream.on('data', (chunk) => {
+      if (!chunks) return;
+      const total = (receivedBytes.get(req) || 0) + chunk.length;
+      receivedBytes.set(req, total);
+      if (total > maxSize) {
+        chunks = null;
+        cb(assembleTooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', (err) => {
+      if (chunks) cb(err);
+    });
+    file.stream.on('end', () => {
+      if (!chunks) return;
+      const buffer = Buffer.concat(chunks);
+      cb(null, { buffer, size: buffer.length });
+    });
+  },
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+const assembleUpload = multer({
+  storage: assembleStorage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+/**
+ * POST /frames/extract
+ * Extract a single frame or all frames of an animated GIF/WebP
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - frame: Zero-based frame index (optional, default: all frames)
+ *     - format: Output format for the frames (optional, default png)
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - image: Base64 encoded frame (single frame)
+ *   - frames: Array of { name, index, image } (all frames)
+ *   - frameCount: Number of frames in the input
+ *   - errormessage: Error description (on error)
+ *   - responseMode=binary returns the frame, or a ZIP archive with all frames
+ */
+router.post('/extract', upload.single('image'), imageSource(), resultCache('frames/extract'), async (req, res, next) => {
+  let inputPath = null;
+  let outputPaths = [];
+
+  try {
+    // Validate uploaded file
+    validateFile(req.file);
+
+    // Get parameters
+    const { frame, format } = req.body;
+
+    // Validate frame index
+    validateNumeric({ frame }, ['frame']);
+    const single = frame !== undefined && frame !== '';
+    const index = single ? parseInt(frame, 10) : null;
+
+    // Validate format
+    // Single frames are raster images
+    const frameFormats = getOutputFormats({ vector: false });
+    validateStrings({ format }, ['format']);
+    const targetFormat = format ? format.toLowerCase() : 'png';
+    checkCodec(targetFormat, 'write');
+    if (!frameFormats.includes(targetFormat)) {
+      throw new Error(`Invalid format. Supported formats: ${frameFormats.join(', ')}`);
+    }
+    const outputExt = normalizeFormat(targetFormat);
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Save input file
+    const inputExt = getExtension(req.file.mimetype);
+    inputPath = await saveTempFile(req.file.buffer, inputExt);
+
+    // Frame sizes come from the header, before anything is decoded
+    const frameCount = (await checkImageLimits(inputPath)).length;
+
+    if (single) {
+      if (index >= frameCount) {
+        throw new Error(`Frame ${index} does not exist. The image has ${frameCount} frame(s) (0-${frameCount - 1}).`);
+      }
+
+      // Extract one frame
+      const outputPath = inputPath.replace(/\.[^.]+$/, `_frame.${outputExt}`);
+      outputPaths = [outputPath];
+      await extractFrame(inputPath, outputPath, index, outputExt);
+
+      const imageBuffer = await fs.readFile(outputPath);
+      const metadata = { format: outputExt, frame: index, frameCount };
+
+      if (responseMode === 'binary') {
+        binaryResponse(res, imageBuffer, metadata, outputExt, `frame-${index}.${outputExt}`);
+      } else {
+        res.json(successResponse(imageBuffer.toString('base64'), {
+          mimetype: getMimeType(outputExt),
+          ...metadata
+        }));
+      }
+    } else {
+      // Extract every frame into its own file
+      outputPaths = Array.from({ length: frameCount }, (_, i) => inputPath.replace(/\.[^.]+$/, `_frame-${i}.${outputExt}`));
+      await extractAllFrames(inputPath, inputPath.replace(/\.[^.]+$/, `_frame-%d.${outputExt}`), outputExt);
+
+      const buffers = await Promise.all(outputPaths.map(outputPath => fs.readFile(outputPath)));
+      const frames = buffers.map((buffer, i) => ({
+        name: `frame-${i}.${outputExt}`,
+        index: i,
+        buffer
+      }));
+
+      if (responseMode === 'binary') {
+        await zipResponse(res, frames, { format: outputExt, frameCount }, 'frames.zip');
+      } else {
+        res.json({
+          success: 1,
+          mimetype: getMimeType(outputExt),
+          format: outputExt,
+          frameCount,
+          frames: frames.map(entry => ({
+            name: entry.name,
+            index: entry.index,
+            bytes: entry.buffer.length,
+            image: entry.buffer.toString('base64')
+          }))
+        });
+      }
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, ...outputPaths]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath) {
+      await cleanupFiles([inputPath, ...outputPaths]);
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /frames/assemble
+ * Assemble an animated GIF/WebP from several frames
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - frames: Frame image files or an array of base64 strings/data URIs, in order
+ *       (required, 2-100, at most MAX_ASSEMBLE_SIZE bytes together)
+ *     - delay: Delay between frames in milliseconds (optional, default 100)
+ *     - loop: Number of loops, 0 = infinite (optional, default 0)
+ *     - format: gif or webp (optional, default gif)
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - image: Base64 encoded animation (on success)
+ *   - frameCount, delay, loop: Applied parameters
+ *   - errormessage: Error description (on error)
+ */
+router.post('/assemble', assembleUpload.array('frames', MAX_FRAMES), imageSource(['frames'], { array: true }), resultCache('frames/assemble', ['frames']), async (req, res, next) => {
+  const framePaths = [];
+  let outputPath = null;
+
+  try {
+    // Validate uploaded files
+    const files = req.files || [];
+    if (files.length < 2) {
+      throw new Error('At least 2 frames are required. Please upload them using the "frames" field.');
+    }
+    if (files.length > MAX_FRAMES) {
+      throw new Error(`At most ${MAX_FRAMES} frames are supported`);
+    }
+    files.forEach(file => validateFile(file));
+    // Base64 frames are only limited by the JSON body size
+    if (files.reduce((total, file) => total + file.size, 0) > getMaxAssembleSize()) {
+      throw assembleTooLarge();
+    }
+
+    // Get parameters
+    const { delay, loop, format } = req.body;
+
+    // Validate numeric parameters
+    validateNumeric({ delay, loop }, ['delay', 'loop']);
+    const delayMs = delay ? parseInt(delay, 10) : 100;
+    if (delayMs < 10 || delayMs > 655350) {
+      throw new Error('Delay must be between 10 and 655350 milliseconds');
+    }
+    const loopCount = loop ? parseInt(loop, 10) : 0;
+    if (loopCount > 65535) {
+      throw new Error('Loop must be between 0 and 65535');
+    }
+
+    // Validate format
+    const animationFormats = getOutputFormats({ animation: true });
+    validateStrings({ format }, ['format']);
+    const targetFormat = format ? format.toLowerCase() : 'gif';
+    checkCodec(targetFormat, 'write');
+    if (!animationFormats.includes(targetFormat)) {
+      throw new Error(`Invalid format. Supported formats: ${animationFormats.join(', ')}`);
+    }
+
+    // Save frames
+    for (const [index, file] of files.entries()) {
+      framePaths.push(await saveTempFile(file.buffer, getExtension(file.mimetype)));
+      await checkImageLimits(framePaths[index], { label: `Frame ${index}` });
+    }
+
+    // Generate output path
+    outputPath = framePaths[0].replace(/\.[^.]+$/, `_animation.${targetFormat}`);
+
+    await assembleAnimation(framePaths, outputPath, delayMs, loopCount, targetFormat);
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Read output image
+    const imageBuffer = await fs.readFile(outputPath);
+
+    // Prepare metadata
+    const metadata = {
+      format: targetFormat,
+      frameCount: files.length,
+      delay: delayMs,
+      loop: loopCount
+    };
+
+    // Send response based on mode
+    if (responseMode === 'binary') {
+      binaryResponse(res, imageBuffer, metadata, targetFormat, `animation.${targetFormat}`);
+    } else {
+      const base64Image = imageBuffer.toString('base64');
+      res.json(successResponse(base64Image, {
+        mimetype: getMimeType(targetFormat),
+        ...metadata
+      }));
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([...framePaths, outputPath]);
+  } catch (error) {
+    // Cleanup on error
+    if (framePaths.length > 0) {
+      await cleanupFiles([...framePaths, outputPath].filter(Boolean));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
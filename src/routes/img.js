@@ -0,0 +1,112 @@
+const express = require('express');
+const fs = require('fs').promises;
+const { validateFile } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { parseSteps, resolveOutputFormat, checkStepSizes } = require('../utils/pipeline');
+const { pipelineImage } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { ensureWritableFormat } = require('../utils/negotiation');
+const { verifySignature, parseOperations, decodeSource, loadSource } = require('../utils/signedUrl');
+const { createCacheKey, getCacheStore } = require('../utils/cache');
+const { serveCached, captureResponse } = require('../middleware/resultCache');
+
+const router = express.Router();
+
+/**
+ * GET /img/:signature/:operations.../:source
+ * Transform an image addressed entirely by a signed URL, for use in <img src>
+ *
+ * Request:
+ *   - signature: base64url HMAC-SHA256 of the rest of the path with IMG_SIGNING_KEY
+ *   - operations: Zero or more path segments, applied in order:
+ *     - rs:fit:width:height[:gravity] - Resize (0 = derive from aspect ratio)
+ *     - c:width:height[:x:y] - Crop
+ *     - t - Trim borders
+ *     - rot:degrees - Rotate by 90, 180 or 270
+ *     - fl:h|v - Flip horizontally or vertically
+ *     - f:format - Output format (png, jpg, webp, gif, bmp, tiff)
+ *     - q:quality - Output quality (1-100)
+ *   - source: base64url encoded path below IMG_SOURCE_DIR or IMG_SOURCE_BASE_URL
+ *   - No authentication header: the signature authorizes the request
+ *
+ * Response:
+ *   - Binary image with Cache-Control (IMG_CACHE_MAX_AGE) on success
+ *   - success: 0 and errormessage on error (not cached)
+ */
+router.get('/:signature/*path', async (req, res, next) => {
+  let inputPath = null;
+  let outputPath = null;
+
+  // Errors must not be cached by browsers or CDNs
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    // The signature covers the raw path after its own segment
+    const { signature } = req.params;
+    const signedPath = req.path.slice(req.path.indexOf('/', 1));
+    verifySignature(signature, signedPath);
+
+    const segments = signedPath.split('/').filter(Boolean);
+    const source = decodeSource(segments.pop());
+    const rawSteps = parseOperations(segments);
+
+    // Load and validate the source like an upload
+    const file = await loadSource(source);
+    validateFile(file);
+
+    const inputExt = getExtension(file.mimetype);
+
+    // SVG is never served inline from the API origin, it is rasterized instead
+    if (resolveOutputFormat(rawSteps, inputExt) === 'svg') {
+      rawSteps.push({ op: 'convert', format: 'png' });
+    }
+    const steps = rawSteps.length > 0 ? parseSteps(rawSteps, inputExt) : [];
+    const maxAge = parseInt(process.env.IMG_CACHE_MAX_AGE || '31536000', 10);
+
+    // Repeated requests are answered from the result cache (304 needs the public caching headers)
+    if (getCacheStore()) {
+      const key = createCacheKey('img', steps, [file.buffer]);
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+      if (await serveCached(req, res, key)) {
+        return;
+      }
+      res.setHeader('Cache-Control', 'no-store');
+      captureResponse(res, key);
+    }
+
+    // Save input file
+    inputPath = await saveTempFile(file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
+    checkStepSizes(steps, frameSizes[0]);
+
+    // Without operations the source is served as-is, otherwise the input format is
+    // kept unless converted (JPEG/PNG/GIF if it cannot be written)
+    const outputExt = steps.length > 0
+      ? await ensureWritableFormat(inputPath, resolveOutputFormat(steps, inputExt), frameSizes.length)
+      : inputExt;
+    let imageBuffer = file.buffer;
+    if (steps.length > 0) {
+      outputPath = inputPath.replace(/\.[^.]+$/, `_img.${outputExt}`);
+      await pipelineImage(inputPath, outputPath, steps, outputExt);
+      imageBuffer = await fs.readFile(outputPath);
+    }
+
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('Content-Type', getMimeType(outputExt));
+    res.setHeader('Content-Length', imageBuffer.length);
+    res.setHeader('Content-Disposition', `inline; filename="image.${outputExt}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.status(200).send(imageBuffer);
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, outputPath].filter(Boolean));
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath || outputPath) {
+      await cleanupFiles([inputPath, outputPath].filter(Boolean));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
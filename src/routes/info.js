@@ -0,0 +1,74 @@
+const express = require('express');
+const multer = require('multer');
+const { validateFile } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { getImageInfo } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+/**
+ * POST /info
+ * Return image metadata without transforming the image
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - format, mimetype, width, height, frames, colorspace, depth, alpha
+ *   - resolution: { x, y, units }
+ *   - iccProfile: Embedded ICC profile description (or null)
+ *   - orientation: EXIF orientation
+ *   - fileSize: Upload size in bytes
+ *   - profiles: Embedded profiles with their byte length
+ *   - exif: EXIF properties
+ *   - iptc: Decoded IPTC datasets by name (arrays for repeatable datasets)
+ *   - xmp: XMP properties by prefixed name (arrays for lists, objects for structures)
+ *   - properties: All remaining ImageMagick properties
+ *   - errormessage: Error description (on error)
+ */
+router.post('/', upload.single('image'), imageSource(), resultCache('info'), async (req, res, next) => {
+  let inputPath = null;
+
+  try {
+    // Validate uploaded file
+    validateFile(req.file);
+
+    // Save input file
+    const inputExt = getExtension(req.file.mimetype);
+    inputPath = await saveTempFile(req.file.buffer, inputExt);
+    await checkImageLimits(inputPath);
+
+    // Read metadata
+    const info = await getImageInfo(inputPath);
+
+    res.json({
+      success: 1,
+      mimetype: getMimeType(info.format),
+      fileSize: req.file.size,
+      ...info
+    });
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath) {
+      await cleanupFiles([inputPath]);
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateParams, successResponse, binaryResponse } = require('../utils/response');
+const { getExtension, getMimeType } = require('../utils/fileHandler');
+const { createJob, getJob, serializeJob } = require('../utils/jobs');
+const { isRouteAllowed } = require('../utils/apiKeys');
+const imageSource = require('../middleware/imageSource');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+/**
+ * POST /jobs
+ * Queue an operation for asynchronous processing
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - operation: terminal, resize, crop, rotate, convert, optimize or pipeline (required)
+ *     - Any parameters of the chosen operation (e.g. width, format, steps)
+ *   - The API key must be allowed to use both /jobs and the chosen operation
+ *
+ * Response (202):
+ *   - success: 1 on success, 0 on error
+ *   - job: Job status object (id, status, timestamps)
+ *   - errormessage: Error description (on error)
+ */
+router.post('/', upload.single('image'), imageSource(), async (req, res, next) => {
+  try {
+    // Validate uploaded file
+    validateFile(req.file);
+
+    // Get parameters
+    const { operation, ...params } = req.body;
+
+    // Validate required parameters
+    validateParams({ operation }, ['operation']);
+
+    // A job runs the operation, so the API key needs access to it as well
+    if (req.apiKey && !isRouteAllowed(req.apiKey, operation)) {
+      const error = new Error(`API key "${req.apiKey.name}" is not allowed to use /${String(operation).toLowerCase()}.`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const inputExt = getExtension(req.file.mimetype);
+    const job = await createJob(operation, params, req.file.buffer, inputExt);
+
+    res.status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({ success: 1, job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Get job status
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - job: Job status object (status: queued, running, done or failed)
+ *   - errormessage: Error description (on error)
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.json({ success: 1, job: serializeJob(getJob(req.params.id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /jobs/:id/result
+ * Get the output image of a finished job
+ *
+ * Response:
+ *   - Same as the synchronous endpoint for the job's operation
+ *   - 409 if the job is not done yet or has failed
+ */
+router.get('/:id/result', async (req, res, next) => {
+  try {
+    const job = getJob(req.params.id);
+
+    if (job.status !== 'done') {
+      const error = new Error(job.status === 'failed'
+        ? `Job failed: ${job.errormessage}`
+        : `Job is not finished yet (status: ${job.status})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Read output image
+    const imageBuffer = await fs.readFile(job.outputPath);
+
+    // Send response based on mode
+    if (responseMode === 'binary') {
+      const headerMetadata = Object.fromEntries(Object.entries(job.metadata)
+        .map(([key, value]) => [key, typeof value === 'object' && value !== null ? JSON.stringify(value) : value]));
+      binaryResponse(res, imageBuffer, {
+        format: job.format,
+        ...headerMetadata
+      }, job.format, `${job.operation}.${job.format}`);
+    } else {
+      const base64Image = imageBuffer.toString('base64');
+      res.json(successResponse(base64Image, {
+        mimetype: getMimeType(job.format),
+        format: job.format,
+        ...job.metadata
+      }));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const crypto = require('crypto');
+const { renderMetrics, getMetricsAuth } = require('../utils/metrics');
+
+const router = express.Router();
+
+/**
+ * Check a bearer token against METRICS_TOKEN in constant time
+ * @param {string|undefined} authHeader - Authorization request header
+ * @returns {boolean} True if the token matches
+ */
+const isValidMetricsToken = (authHeader) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected || !authHeader) {
+    return false;
+  }
+
+  const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : authHeader;
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(token), hash(expected));
+};
+
+/**
+ * GET /metrics
+ * Prometheus metrics in the text exposition format
+ *
+ * Authentication (METRICS_AUTH):
+ *   - api: Same as all other endpoints, API keys need the "metrics" route (default)
+ *   - token: Only the METRICS_TOKEN bearer token, independent of API keys
+ *   - none: No authentication
+ *
+ * Response:
+ *   - text/plain; version=0.0.4 with all metrics
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    if (getMetricsAuth() === 'token' && !isValidMetricsToken(req.headers.authorization)) {
+      return res.status(401).json({
+        success: 0,
+        errormessage: 'Invalid or missing metrics token.'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
-const { validateFile, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
+const { validateFile, successResponse, binaryResponse } = require('../utils/response');
 const { saveTempFile, readFileAsBase64, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
-const { optimizeImage } = require('../utils/imagemagick');
+const { normalizeStep } = require('../utils/pipeline');
+const { optimizeFile } = require('../utils/optimize');
+const { checkImageLimits } = require('../utils/limits');
+const { isAutoFormat, chooseOutputFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
 
 const router = express.Router();
 const upload = multer({
@@ -18,18 +23,31 @@ const upload = multer({
  * Optimize image quality and file size
  *
  * Request:
- *   - Body (multipart/form-data):
- *     - image: Image file (required)
- *     - quality: Quality percentage 1-100 (required, lower = smaller file)
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - quality: Quality percentage 1-100 for lossy formats (lower = smaller file; required unless
+ *       maxBytes, colors or compressionLevel is given; with maxBytes the upper end of the search, default 90)
+ *     - maxBytes: Byte budget, searches the highest quality whose output fits (optional)
+ *     - minQuality: Lowest quality the search may use (optional, default 30, requires maxBytes)
+ *     - minScale: Smallest scale (0.1-1) the image may be shrunk to if minQuality does not fit
+ *       (optional, default 1 = keep dimensions, requires maxBytes)
+ *     - colors: Palette size 2-256 for PNG/GIF output (optional)
+ *     - compressionLevel: zlib level 0-9 for PNG output (optional, default 9)
+ *     - format: 'auto' to pick the output format from the Accept header (optional, default: input format)
  *
  * Response:
  *   - success: 1 on success, 0 on error
  *   - image: Base64 encoded optimized image (on success)
- *   - quality: Applied quality setting
  *   - format: Output format
+ *   - quality: Applied quality (lossy formats only)
+ *   - colors, compressionLevel, maxBytes: Applied settings (if given)
+ *   - scale, width, height: Output size (only if the image was scaled down to fit maxBytes)
+ *   - originalBytes, outputBytes: Input and output size
+ *   - savedPercent: Size reduction in percent (negative if the output is larger)
  *   - errormessage: Error description (on error)
  */
-router.post('/', upload.single('image'), async (req, res, next) => {
+router.post('/', upload.single('image'), imageSource(), resultCache('optimize'), async (req, res, next) => {
   let inputPath = null;
   let outputPath = null;
 
@@ -37,28 +55,23 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     // Validate uploaded file
     validateFile(req.file);
 
-    // Get parameters
-    const { quality } = req.body;
-
-    // Validate required parameters
-    validateParams({ quality }, ['quality']);
-
-    // Validate quality
-    validateNumeric({ quality }, ['quality']);
-    const qualityNum = parseInt(quality, 10);
-    if (qualityNum < 1 || qualityNum > 100) {
-      throw new Error('Quality must be between 1 and 100');
-    }
+    // Validate parameters (shared with optimize pipeline steps and jobs)
+    const options = normalizeStep('optimize', req.body);
+    const autoFormat = isAutoFormat(req.body.format);
 
     // Save input file
     const inputExt = getExtension(req.file.mimetype);
     inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
+
+    // Pick the output format (format=auto negotiates it from the Accept header)
+    const outputExt = await chooseOutputFormat(req, res, inputPath, inputExt, frameSizes.length, autoFormat);
 
-    // Generate output path (keep original format)
-    outputPath = inputPath.replace(/\.[^.]+$/, `_optimized.${inputExt}`);
+    // Generate output path
+    outputPath = inputPath.replace(/\.[^.]+$/, `_optimized.${outputExt}`);
 
-    // Optimize image
-    await optimizeImage(inputPath, outputPath, qualityNum, inputExt);
+    // Optimize image (searches quality and size if maxBytes is given)
+    const report = await optimizeFile(inputPath, outputPath, outputExt, options);
 
     // Get response mode
     const responseMode = req.query.responseMode || 'base64';
@@ -74,15 +87,15 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     // Send response based on mode
     if (responseMode === 'binary') {
       binaryResponse(res, imageBuffer, {
-        format: inputExt,
-        quality: qualityNum
-      }, inputExt, `optimized.${inputExt}`);
+        format: outputExt,
+        ...report
+      }, outputExt, `optimized.${outputExt}`);
     } else {
       const base64Image = imageBuffer.toString('base64');
       res.json(successResponse(base64Image, {
-        mimetype: getMimeType(inputExt),
-        format: inputExt,
-        quality: qualityNum
+        mimetype: getMimeType(outputExt),
+        format: outputExt,
+        ...report
       }));
     }
 
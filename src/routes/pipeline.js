@@ -0,0 +1,108 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateParams, successResponse, binaryResponse } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { parseSteps, resolveOutputFormat, checkStepSizes, describeSteps } = require('../utils/pipeline');
+const { pipelineImage } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { ensureWritableFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+/**
+ * POST /pipeline
+ * Chain multiple operations on one image in a single magick invocation
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - steps: JSON array of steps, applied in order (required)
+ *       Each step has an "op" field (resize, crop, rotate, convert, optimize)
+ *       plus the same parameters as the matching single-operation endpoint, e.g.
+ *       [{"op":"crop","mode":"trim"},{"op":"resize","width":800},{"op":"convert","format":"webp","quality":80}]
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - image: Base64 encoded processed image (on success)
+ *   - format: Output format (last convert step, otherwise input format)
+ *   - steps: Normalized parameters of every applied step, with the image size after it (outputWidth, outputHeight)
+ *   - errormessage: Error description (on error)
+ */
+router.post('/', upload.single('image'), imageSource(), resultCache('pipeline'), async (req, res, next) => {
+  let inputPath = null;
+  let outputPath = null;
+
+  try {
+    // Validate uploaded file
+    validateFile(req.file);
+
+    // Get parameters
+    const { steps } = req.body;
+
+    // Validate required parameters
+    validateParams({ steps }, ['steps']);
+
+    // Validate every step before touching the filesystem
+    const inputExt = getExtension(req.file.mimetype);
+    const pipelineSteps = parseSteps(steps, inputExt);
+
+    // Save input file
+    inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
+    checkStepSizes(pipelineSteps, frameSizes[0]);
+
+    // Generate output path (without a convert step the input format is kept, JPEG/PNG/GIF if it cannot be written)
+    const outputExt = await ensureWritableFormat(inputPath, resolveOutputFormat(pipelineSteps, inputExt), frameSizes.length);
+    outputPath = inputPath.replace(/\.[^.]+$/, `_pipeline.${outputExt}`);
+
+    // Run all steps
+    const appliedSteps = describeSteps(pipelineSteps, await pipelineImage(inputPath, outputPath, pipelineSteps, outputExt));
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Read output image
+    const imageBuffer = await fs.readFile(outputPath);
+
+    // Send response based on mode
+    if (responseMode === 'binary') {
+      binaryResponse(res, imageBuffer, {
+        format: outputExt,
+        steps: JSON.stringify(appliedSteps)
+      }, outputExt, `pipeline.${outputExt}`);
+    } else {
+      const base64Image = imageBuffer.toString('base64');
+      res.json(successResponse(base64Image, {
+        mimetype: getMimeType(outputExt),
+        format: outputExt,
+        steps: appliedSteps
+      }));
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, outputPath]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath || outputPath) {
+      await cleanupFiles([inputPath, outputPath].filter(Boolean));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateStrings, validateNumeric, successResponse, binaryResponse, zipResponse } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { parseQuality, parseColor } = require('../utils/pipeline');
+const { getOutputFormats, normalizeFormat, checkCodec } = require('../utils/formats');
+const { rasterizePages, rasterizeStrip, rasterizeContactSheet } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+const MAX_PAGES = 50;
+const LAYOUTS = ['pages', 'strip', 'sheet'];
+
+/**
+ * Parse a page range like "1-3,5" into zero-based page indexes
+ * @param {string} value - Page range (1-based, inclusive)
+ * @param {number} pageCount - Total number of pages in the document
+ * @returns {number[]} Sorted, unique zero-based page indexes
+ * @throws {Error} If the range is malformed or out of bounds
+ */
+const parsePageRange = (value, pageCount) => {
+  const pages = new Set();
+
+  for (const part of String(value).split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid page range "${part}". Use e.g. "1-3,5".`);
+    }
+
+    const first = parseInt(match[1], 10);
+    const last = match[2] !== undefined ? parseInt(match[2], 10) : first;
+    if (first < 1 || last < first) {
+      throw new Error(`Invalid page range "${part}". Pages start at 1.`);
+    }
+    if (last > pageCount) {
+      throw new Error(`Page ${last} does not exist. The document has ${pageCount} page(s).`);
+    }
+
+    for (let page = first; page <= last; page++) {
+      pages.add(page - 1);
+    }
+  }
+
+  if (pages.size === 0) {
+    throw new Error('Page range must select at least one page');
+  }
+
+  return [...pages].sort((a, b) => a - b);
+};
+
+/**
+ * POST /rasterize
+ * Rasterize PDF documents and multi-page images
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: PDF or multi-page image file (e.g. TIFF) or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the document from (alternative to image)
+ *     - pages: 1-based page range like "1-3,5" (optional, default: first 50 pages)
+ *     - density: Rendering resolution in DPI, 36-600 (optional, default 150)
+ *     - background: Color for transparent areas (optional, default white)
+ *     - format: Output format (optional, default png)
+ *     - quality: Quality for lossy formats like jpg/webp (1-100, optional)
+ *     - layout: pages (one image per page), strip (vertical strip) or sheet (contact sheet) (optional, default pages)
+ *     - columns: Thumbnails per row for layout=sheet (optional, default: square grid)
+ *     - tileWidth: Thumbnail width in pixels for layout=sheet (optional, default 300)
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - pageCount: Total number of pages in the document
+ *   - pages: Array of { page, name, bytes, image } (layout=pages)
+ *   - image: Base64 encoded strip or contact sheet (layout=strip/sheet)
+ *   - errormessage: Error description (on error)
+ *   - responseMode=binary returns a ZIP archive (layout=pages) or the image
+ */
+router.post('/', upload.single('image'), imageSource(), resultCache('rasterize'), async (req, res, next) => {
+  let inputPath = null;
+  let outputPaths = [];
+
+  try {
+    // Validate uploaded file
+    validateFile(req.file, ['application/pdf']);
+
+    // Get parameters
+    const { pages, density, background, format, quality, layout, columns, tileWidth } = req.body;
+    validateStrings({ format, layout }, ['format', 'layout']);
+
+    // Validate numeric parameters
+    validateNumeric({ density, columns, tileWidth }, ['density', 'columns', 'tileWidth']);
+    const dpi = density ? parseInt(density, 10) : 150;
+    if (dpi < 36 || dpi > 600) {
+      throw new Error('Density must be between 36 and 600');
+    }
+
+    // Pages are rendered to raster images
+    const rasterFormats = getOutputFormats({ vector: false });
+    const targetFormat = format ? format.toLowerCase() : 'png';
+    checkCodec(targetFormat, 'write');
+    if (!rasterFormats.includes(targetFormat)) {
+      throw new Error(`Invalid format. Supported formats: ${rasterFormats.join(', ')}`);
+    }
+    const outputExt = normalizeFormat(targetFormat);
+
+    const qualityNum = quality ? parseQuality(quality) : null;
+    const backgroundColor = background ? parseColor(background, 'background') : 'white';
+
+    const mode = layout ? layout.toLowerCase() : 'pages';
+    if (!LAYOUTS.includes(mode)) {
+      throw new Error(`Invalid layout. Supported values: ${LAYOUTS.join(', ')}`);
+    }
+
+    const thumbWidth = tileWidth ? parseInt(tileWidth, 10) : 300;
+    if (thumbWidth < 16 || thumbWidth > 2000) {
+      throw new Error('tileWidth must be between 16 and 2000');
+    }
+    if (columns && (parseInt(columns, 10) < 1 || parseInt(columns, 10) > MAX_PAGES)) {
+      throw new Error(`Columns must be between 1 and ${MAX_PAGES}`);
+    }
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Save input file
+    const inputExt = getExtension(req.file.mimetype);
+    inputPath = await saveTempFile(req.file.buffer, inputExt);
+
+    // Check page sizes at the requested density, then resolve the page selection
+    const pageCount = (await checkImageLimits(inputPath, { density: dpi, label: 'Document' })).length;
+    const selected = pages
+      ? parsePageRange(pages, pageCount)
+      : Array.from({ length: Math.min(pageCount, MAX_PAGES) }, (_, i) => i);
+    if (selected.length > MAX_PAGES) {
+      throw new Error(`At most ${MAX_PAGES} pages can be rasterized per request`);
+    }
+
+    const options = { density: dpi, background: backgroundColor, quality: qualityNum };
+    const pageNumbers = selected.map(page => page + 1);
+
+    if (mode === 'pages') {
+      // One image per page
+      outputPaths = selected.map(page => inputPath.replace(/\.[^.]+$/, `_page-${page + 1}.${outputExt}`));
+      await rasterizePages(inputPath, selected, outputPaths, outputExt, options);
+
+      const buffers = await Promise.all(outputPaths.map(outputPath => fs.readFile(outputPath)));
+      const files = buffers.map((buffer, index) => ({
+        name: `page-${pageNumbers[index]}.${outputExt}`,
+        page: pageNumbers[index],
+        buffer
+      }));
+
+      if (responseMode === 'binary') {
+        await zipResponse(res, files, {
+          format: outputExt,
+          density: dpi,
+          pageCount,
+          pages: pageNumbers.join(',')
+        }, 'pages.zip');
+      } else {
+        res.json({
+          success: 1,
+          mimetype: getMimeType(outputExt),
+          format: outputExt,
+          density: dpi,
+          pageCount,
+          pages: files.map(file => ({
+            page: file.page,
+            name: file.name,
+            bytes: file.buffer.length,
+            image: file.buffer.toString('base64')
+          }))
+        });
+      }
+    } else {
+      // All selected pages combined into one image
+      const outputPath = inputPath.replace(/\.[^.]+$/, `_${mode}.${outputExt}`);
+      outputPaths = [outputPath];
+
+      const columnCount = columns ? parseInt(columns, 10) : Math.ceil(Math.sqrt(selected.length));
+      if (mode === 'strip') {
+        await rasterizeStrip(inputPath, selected, outputPath, outputExt, options);
+      } else {
+        await rasterizeContactSheet(inputPath, selected, outputPath, outputExt, {
+          ...options,
+          columns: columnCount,
+          tileWidth: thumbWidth
+        });
+      }
+
+      const imageBuffer = await fs.readFile(outputPath);
+      const metadata = {
+        format: outputExt,
+        layout: mode,
+        density: dpi,
+        pageCount,
+        pages: pageNumbers,
+        ...(mode === 'sheet' && { columns: columnCount, tileWidth: thumbWidth })
+      };
+
+      if (responseMode === 'binary') {
+        binaryResponse(res, imageBuffer, metadata, outputExt, `${mode}.${outputExt}`);
+      } else {
+        res.json(successResponse(imageBuffer.toString('base64'), {
+          mimetype: getMimeType(outputExt),
+          ...metadata
+        }));
+      }
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, ...outputPaths]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath) {
+      await cleanupFiles([inputPath, ...outputPaths]);
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const { getReadiness } = require('../utils/readiness');
+
+const router = express.Router();
+
+/**
+ * GET /ready
+ * Readiness check: runs a tiny SVG to PNG conversion, writes and deletes
+ * a temp file, compares free disk space with READY_MIN_FREE_DISK and
+ * checks the work queue. /health stays a pure liveness check.
+ * The result is reused for READY_CACHE_TTL, timestamp is when the checks ran.
+ *
+ * Response:
+ *   - 200 if all checks pass, 503 if any fails
+ *   - imagemagick: version and built-in delegates
+ *   - checks: status, duration and details per check
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { ready, imagemagick, checks, checkedAt } = await getReadiness();
+    const failed = Object.keys(checks).filter(name => checks[name].status !== 'ok');
+
+    // Probes must always see the current state
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+      success: ready ? 1 : 0,
+      status: ready ? 'ready' : 'not ready',
+      ...(ready ? {} : { errormessage: `Readiness checks failed: ${failed.join(', ')}` }),
+      timestamp: checkedAt.toISOString(),
+      imagemagick,
+      checks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
-const { validateFile, validateParams, validateNumeric, successResponse, binaryResponse } = require('../utils/response');
+const { validateFile, validateParams, successResponse, binaryResponse } = require('../utils/response');
 const { saveTempFile, readFileAsBase64, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
-const { resizeImage } = require('../utils/imagemagick');
+const { normalizeStep, checkStepSizes } = require('../utils/pipeline');
+const { resizeImage, getImageDimensions } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { isAutoFormat, chooseOutputFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
 
 const router = express.Router();
 const upload = multer({
@@ -18,24 +23,36 @@ const upload = multer({
  * Resize image with optional aspect ratio preservation
  *
  * Request:
- *   - Body (multipart/form-data):
- *     - image: Image file (required)
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
  *     - width: Target width in pixels (optional if height provided)
  *     - height: Target height in pixels (optional if width provided)
+ *     - fit: fill, inside, outside, cover or contain (optional, requires width and height)
+ *     - gravity: Anchor for cover/contain - center, north, northeast, ... (optional, default center)
+ *     - withoutEnlargement: 'true' to never upscale (optional)
+ *     - extend: 'true' to pad a smaller result to width x height with background (optional, requires width and height)
+ *     - filter: Resampling filter - lanczos, mitchell, point, ... (optional)
+ *     - background: Letterbox color for contain and extend (optional)
+ *     - format: 'auto' to pick the output format from the Accept header (optional, default: input format)
  *
  * Behavior:
- *   - Both width and height: Image is resized to exact dimensions (may distort)
- *   - Only width: Height is calculated to preserve aspect ratio
- *   - Only height: Width is calculated to preserve aspect ratio
+ *   - fill (default with both dimensions): Exact dimensions (may distort)
+ *   - inside: Fit within width x height, preserving aspect ratio
+ *   - outside: Cover width x height, preserving aspect ratio
+ *   - cover: Fill width x height, then crop around gravity
+ *   - contain: Fit within width x height, then pad with background
+ *   - Only width or only height: The other side is calculated to preserve aspect ratio
  *
  * Response:
  *   - success: 1 on success, 0 on error
  *   - image: Base64 encoded resized image (on success)
  *   - width: Final image width
  *   - height: Final image height
+ *   - fit: Applied fit mode
  *   - errormessage: Error description (on error)
  */
-router.post('/', upload.single('image'), async (req, res, next) => {
+router.post('/', upload.single('image'), imageSource(), resultCache('resize'), async (req, res, next) => {
   let inputPath = null;
   let outputPath = null;
 
@@ -43,28 +60,41 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     // Validate uploaded file
     validateFile(req.file);
 
-    // Get parameters
-    const { width, height } = req.body;
-
-    // Validate at least one dimension is provided
-    if (!width && !height) {
-      throw new Error('At least one of width or height must be specified');
-    }
-
-    // Validate numeric parameters
-    validateNumeric({ width, height }, ['width', 'height']);
+    // Validate parameters
+    const inputExt = getExtension(req.file.mimetype);
+    const options = normalizeStep('resize', req.body, inputExt);
+    const autoFormat = isAutoFormat(req.body.format);
 
     // Save input file
-    const inputExt = getExtension(req.file.mimetype);
     inputPath = await saveTempFile(req.file.buffer, inputExt);
 
-    // Generate output path (keep original format)
-    outputPath = inputPath.replace(/\.[^.]+$/, `_resized.${inputExt}`);
+    // Reject decompression bombs and oversized results before decoding
+    const frameSizes = await checkImageLimits(inputPath);
+    checkStepSizes([{ op: 'resize', ...options }], frameSizes[0]);
+
+    // Pick the output format (format=auto negotiates it from the Accept header)
+    const outputExt = await chooseOutputFormat(req, res, inputPath, inputExt, frameSizes.length, autoFormat);
+
+    // Generate output path
+    outputPath = inputPath.replace(/\.[^.]+$/, `_resized.${outputExt}`);
 
     // Resize image
-    const targetWidth = width ? parseInt(width, 10) : null;
-    const targetHeight = height ? parseInt(height, 10) : null;
-    await resizeImage(inputPath, outputPath, targetWidth, targetHeight, inputExt);
+    await resizeImage(inputPath, outputPath, options.width, options.height, outputExt, options);
+
+    // Report the real output size
+    const { width: finalWidth, height: finalHeight } = await getImageDimensions(outputPath);
+
+    const metadata = {
+      format: outputExt,
+      width: finalWidth,
+      height: finalHeight,
+      fit: options.fit,
+      ...((options.extend || ['cover', 'contain'].includes(options.fit)) && { gravity: options.gravity }),
+      ...((options.extend || options.fit === 'contain') && { background: options.background }),
+      ...(options.extend && { extend: true }),
+      ...(options.filter && { filter: options.filter }),
+      withoutEnlargement: options.withoutEnlargement
+    };
 
     // Get response mode
     const responseMode = req.query.responseMode || 'base64';
@@ -79,18 +109,12 @@ router.post('/', upload.single('image'), async (req, res, next) => {
 
     // Send response based on mode
     if (responseMode === 'binary') {
-      binaryResponse(res, imageBuffer, {
-        format: inputExt,
-        width: targetWidth || 'auto',
-        height: targetHeight || 'auto'
-      }, inputExt, `resized.${inputExt}`);
+      binaryResponse(res, imageBuffer, metadata, outputExt, `resized.${outputExt}`);
     } else {
       const base64Image = imageBuffer.toString('base64');
       res.json(successResponse(base64Image, {
-        mimetype: getMimeType(inputExt),
-        format: inputExt,
-        width: targetWidth || 'auto',
-        height: targetHeight || 'auto'
+        mimetype: getMimeType(outputExt),
+        ...metadata
       }));
     }
 
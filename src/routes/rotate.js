@@ -1,9 +1,13 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
-const { validateFile, validateParams, successResponse, binaryResponse } = require('../utils/response');
+const { validateFile, validateStrings, validateParams, successResponse, binaryResponse } = require('../utils/response');
 const { saveTempFile, readFileAsBase64, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
 const { rotateImage, flipImage } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { isAutoFormat, chooseOutputFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
 
 const router = express.Router();
 const upload = multer({
@@ -18,10 +22,12 @@ const upload = multer({
  * Rotate or flip image
  *
  * Request:
- *   - Body (multipart/form-data):
- *     - image: Image file (required)
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
  *     - operation: 'rotate' or 'flip' (required)
  *     - value: For rotate: 90, 180, 270 (degrees). For flip: 'horizontal' or 'vertical' (required)
+ *     - format: 'auto' to pick the output format from the Accept header (optional, default: input format)
  *
  * Response:
  *   - success: 1 on success, 0 on error
@@ -29,7 +35,7 @@ const upload = multer({
  *   - operation: Applied operation
  *   - errormessage: Error description (on error)
  */
-router.post('/', upload.single('image'), async (req, res, next) => {
+router.post('/', upload.single('image'), imageSource(), resultCache('rotate'), async (req, res, next) => {
   let inputPath = null;
   let outputPath = null;
 
@@ -38,10 +44,11 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     validateFile(req.file);
 
     // Get parameters
-    const { operation, value } = req.body;
+    const { operation, value, format } = req.body;
 
     // Validate required parameters
     validateParams({ operation, value }, ['operation', 'value']);
+    validateStrings({ operation }, ['operation']);
 
     const op = operation.toLowerCase();
 
@@ -49,13 +56,18 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     if (!['rotate', 'flip'].includes(op)) {
       throw new Error('Operation must be "rotate" or "flip"');
     }
+    const autoFormat = isAutoFormat(format);
 
     // Save input file
     const inputExt = getExtension(req.file.mimetype);
     inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
 
-    // Generate output path (keep original format)
-    outputPath = inputPath.replace(/\.[^.]+$/, `_${op}.${inputExt}`);
+    // Pick the output format (format=auto negotiates it from the Accept header)
+    const outputExt = await chooseOutputFormat(req, res, inputPath, inputExt, frameSizes.length, autoFormat);
+
+    // Generate output path
+    outputPath = inputPath.replace(/\.[^.]+$/, `_${op}.${outputExt}`);
 
     // Apply operation
     if (op === 'rotate') {
@@ -63,13 +75,13 @@ router.post('/', upload.single('image'), async (req, res, next) => {
       if (![90, 180, 270, -90, -180, -270].includes(degrees)) {
         throw new Error('Rotation degrees must be 90, 180, or 270 (or negative equivalents)');
       }
-      await rotateImage(inputPath, outputPath, degrees, inputExt);
+      await rotateImage(inputPath, outputPath, degrees, outputExt);
     } else if (op === 'flip') {
-      const direction = value.toLowerCase();
+      const direction = String(value).toLowerCase();
       if (!['horizontal', 'vertical'].includes(direction)) {
         throw new Error('Flip direction must be "horizontal" or "vertical"');
       }
-      await flipImage(inputPath, outputPath, direction, inputExt);
+      await flipImage(inputPath, outputPath, direction, outputExt);
     }
 
     // Get response mode
@@ -86,15 +98,15 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     // Send response based on mode
     if (responseMode === 'binary') {
       binaryResponse(res, imageBuffer, {
-        format: inputExt,
+        format: outputExt,
         operation: op,
         value: value
-      }, inputExt, `${op}.${inputExt}`);
+      }, outputExt, `${op}.${outputExt}`);
     } else {
       const base64Image = imageBuffer.toString('base64');
       res.json(successResponse(base64Image, {
-        mimetype: getMimeType(inputExt),
-        format: inputExt,
+        mimetype: getMimeType(outputExt),
+        format: outputExt,
         operation: op,
         value: value
       }));
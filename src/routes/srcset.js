@@ -0,0 +1,226 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs').promises;
+const { validateFile, validateParams, validateNumeric, zipResponse } = require('../utils/response');
+const { saveTempFile, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
+const { getOutputFormats, normalizeFormat, checkCodec } = require('../utils/formats');
+const { getImageDimensions, responsiveImageSet } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const { ensureWritableFormat } = require('../utils/negotiation');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)
+  }
+});
+
+const MAX_WIDTHS = 20;
+const MAX_FORMATS = 5;
+
+/**
+ * Parse list parameter given as comma separated string or JSON array
+ * @param {string|string[]} value - Raw parameter value
+ * @returns {string[]} List entries
+ */
+const parseList = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text).map(String);
+    } catch {
+      throw new Error(`Invalid list: ${text}`);
+    }
+  }
+
+  return text.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+/**
+ * POST /srcset
+ * Generate a responsive image set (several widths x several formats) in one request
+ *
+ * Request:
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
+ *     - widths: Comma separated list or JSON array of widths in pixels (required)
+ *     - formats: Comma separated list or JSON array of formats (optional, default: input format)
+ *     - quality: Quality for lossy formats like jpg/webp (1-100, optional)
+ *     - name: Base filename for variants and srcset entries (optional, default 'image')
+ *     - urlPrefix: Prefix for srcset URLs, e.g. '/assets/' (optional)
+ *
+ * Behavior:
+ *   - Widths larger than the source are skipped (never upscales)
+ *   - If every width is larger, one variant at the source width is produced
+ *
+ * Response:
+ *   - success: 1 on success, 0 on error
+ *   - variants: Array of { name, width, height, format, mimetype, bytes, image }
+ *   - srcset: Ready-to-use srcset string per format
+ *   - skippedWidths: Requested widths larger than the source
+ *   - errormessage: Error description (on error)
+ *   - responseMode=binary returns a ZIP archive with all variants
+ */
+router.post('/', upload.single('image'), imageSource(), resultCache('srcset'), async (req, res, next) => {
+  let inputPath = null;
+  let outputPaths = [];
+
+  try {
+    // Validate uploaded file
+    validateFile(req.file);
+
+    // Get parameters
+    const { widths, formats, quality, name, urlPrefix } = req.body;
+
+    // Validate required parameters
+    validateParams({ widths }, ['widths']);
+
+    // Validate widths
+    const widthList = parseList(widths);
+    if (widthList.length === 0 || widthList.length > MAX_WIDTHS) {
+      throw new Error(`Between 1 and ${MAX_WIDTHS} widths must be specified`);
+    }
+    widthList.forEach((width) => {
+      validateNumeric({ width }, ['width']);
+      if (parseInt(width, 10) < 1) {
+        throw new Error('Parameter \'width\' must be a positive number');
+      }
+    });
+    const requestedWidths = [...new Set(widthList.map(width => parseInt(width, 10)))].sort((a, b) => a - b);
+
+    // Validate formats (without formats, the input format is used, see below)
+    const inputExt = getExtension(req.file.mimetype);
+    const formatList = formats ? parseList(formats).map(format => format.toLowerCase()) : [];
+    if (formats && (formatList.length === 0 || formatList.length > MAX_FORMATS)) {
+      throw new Error(`Between 1 and ${MAX_FORMATS} formats must be specified`);
+    }
+    // Vector output makes no sense for raster variants
+    const srcsetFormats = getOutputFormats({ vector: false });
+    const checkFormat = (format) => {
+      checkCodec(format, 'write');
+      if (!srcsetFormats.includes(format)) {
+        throw new Error(`Invalid format. Supported formats: ${srcsetFormats.join(', ')}`);
+      }
+    };
+    formatList.forEach(checkFormat);
+
+    // Validate quality if provided
+    let qualityNum = null;
+    if (quality) {
+      validateNumeric({ quality }, ['quality']);
+      qualityNum = parseInt(quality, 10);
+      if (qualityNum < 1 || qualityNum > 100) {
+        throw new Error('Quality must be between 1 and 100');
+      }
+    }
+
+    // Validate name
+    const baseName = name ? String(name) : 'image';
+    if (!/^[\w-]{1,100}$/.test(baseName)) {
+      throw new Error('Name may only contain letters, digits, "_" and "-"');
+    }
+    const prefix = urlPrefix ? String(urlPrefix) : '';
+    if (!/^[^\s"'<>]*$/.test(prefix)) {
+      throw new Error('urlPrefix must not contain whitespace, quotes or angle brackets');
+    }
+
+    // Save input file
+    inputPath = await saveTempFile(req.file.buffer, inputExt);
+    const frameSizes = await checkImageLimits(inputPath);
+
+    // Keep the input format if no formats are given (JPEG/PNG/GIF if it cannot be written)
+    if (formatList.length === 0) {
+      formatList.push(await ensureWritableFormat(inputPath, inputExt, frameSizes.length));
+      checkFormat(formatList[0]);
+    }
+    const targetFormats = [...new Set(formatList.map(normalizeFormat))];
+
+    // Never produce variants wider than the source
+    const source = await getImageDimensions(inputPath);
+    const targetWidths = requestedWidths.filter(width => width <= source.width);
+    const skippedWidths = requestedWidths.filter(width => width > source.width);
+    if (targetWidths.length === 0) {
+      targetWidths.push(source.width);
+    }
+
+    // Plan all variants
+    const variants = targetWidths.flatMap(width => targetFormats.map(format => ({
+      name: `${baseName}-${width}w.${format}`,
+      width,
+      height: Math.max(1, Math.round(source.height * width / source.width)),
+      format,
+      outputPath: inputPath.replace(/\.[^.]+$/, `_${width}w.${format}`)
+    })));
+    outputPaths = variants.map(variant => variant.outputPath);
+
+    // Generate all variants in one magick run
+    await responsiveImageSet(inputPath, variants, qualityNum);
+
+    // Build srcset strings per format
+    const srcset = Object.fromEntries(targetFormats.map(format => [
+      format,
+      variants
+        .filter(variant => variant.format === format)
+        .map(variant => `${prefix}${variant.name} ${variant.width}w`)
+        .join(', ')
+    ]));
+
+    // Get response mode
+    const responseMode = req.query.responseMode || 'base64';
+
+    // Validate responseMode
+    if (!['base64', 'binary'].includes(responseMode)) {
+      throw new Error('responseMode must be "base64" or "binary"');
+    }
+
+    // Read output images
+    const buffers = await Promise.all(variants.map(variant => fs.readFile(variant.outputPath)));
+
+    // Send response based on mode
+    if (responseMode === 'binary') {
+      await zipResponse(res, variants.map((variant, index) => ({
+        name: variant.name,
+        buffer: buffers[index]
+      })), {
+        count: variants.length,
+        widths: targetWidths.join(','),
+        formats: targetFormats.join(','),
+        srcset: JSON.stringify(srcset)
+      }, `${baseName}-srcset.zip`);
+    } else {
+      res.json({
+        success: 1,
+        variants: variants.map((variant, index) => ({
+          name: variant.name,
+          width: variant.width,
+          height: variant.height,
+          format: variant.format,
+          mimetype: getMimeType(variant.format),
+          bytes: buffers[index].length,
+          image: buffers[index].toString('base64')
+        })),
+        srcset,
+        skippedWidths
+      });
+    }
+
+    // Cleanup temp files
+    await cleanupFiles([inputPath, ...outputPaths]);
+  } catch (error) {
+    // Cleanup on error
+    if (inputPath) {
+      await cleanupFiles([inputPath, ...outputPaths]);
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
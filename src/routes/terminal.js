@@ -4,6 +4,9 @@ const fs = require('fs').promises;
 const { validateFile, successResponse, binaryResponse } = require('../utils/response');
 const { saveTempFile, readFileAsBase64, cleanupFiles, getExtension, getMimeType } = require('../utils/fileHandler');
 const { terminalDither } = require('../utils/imagemagick');
+const { checkImageLimits } = require('../utils/limits');
+const imageSource = require('../middleware/imageSource');
+const { resultCache } = require('../middleware/resultCache');
 
 const router = express.Router();
 const upload = multer({
@@ -18,15 +21,16 @@ const upload = multer({
  * Apply terminal dithering effect to image
  *
  * Request:
- *   - Body (multipart/form-data):
- *     - image: Image file (required)
+ *   - Body (multipart/form-data or application/json):
+ *     - image: Image file or base64 string/data URI (required unless imageUrl is given)
+ *     - imageUrl: http(s) URL to fetch the image from (alternative to image)
  *
  * Response:
  *   - success: 1 on success, 0 on error
  *   - image: Base64 encoded processed image (on success)
  *   - errormessage: Error description (on error)
  */
-router.post('/', upload.single('image'), async (req, res, next) => {
+router.post('/', upload.single('image'), imageSource(), resultCache('terminal'), async (req, res, next) => {
   let inputPath = null;
   let outputPath = null;
 
@@ -37,6 +41,7 @@ router.post('/', upload.single('image'), async (req, res, next) => {
     // Save input file
     const inputExt = getExtension(req.file.mimetype);
     inputPath = await saveTempFile(req.file.buffer, inputExt);
+    await checkImageLimits(inputPath);
 
     // Generate output path (always PNG for terminal effect)
     outputPath = inputPath.replace(/\.[^.]+$/, '_out.png');
@@ -3,7 +3,16 @@ const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 const path = require('path');
 const authMiddleware = require('./middleware/auth');
+const { initKeyStore } = require('./utils/apiKeys');
+const { getCacheStore, setMagickVersion } = require('./utils/cache');
 const errorHandler = require('./middleware/errorHandler');
+const metricsMiddleware = require('./middleware/metrics');
+const requestIdMiddleware = require('./middleware/requestId');
+const logger = require('./utils/logger');
+const { listFormats, listMimeTypes, getMagickVersion } = require('./utils/imagemagick');
+const { initFormats, getExtraFormats, getOutputFormats, describeFormats } = require('./utils/formats');
+const { getMaxQueueLength } = require('./utils/queue');
+const { getMetricsAuth } = require('./utils/metrics');
 
 // Import route handlers
 const terminalRoute = require('./routes/terminal');
@@ -12,32 +21,63 @@ const convertRoute = require('./routes/convert');
 const rotateRoute = require('./routes/rotate');
 const cropRoute = require('./routes/crop');
 const optimizeRoute = require('./routes/optimize');
+const pipelineRoute = require('./routes/pipeline');
+const jobsRoute = require('./routes/jobs');
+const infoRoute = require('./routes/info');
+const srcsetRoute = require('./routes/srcset');
+const compositeRoute = require('./routes/composite');
+const annotateRoute = require('./routes/annotate');
+const fontsRoute = require('./routes/fonts');
+const framesRoute = require('./routes/frames');
+const rasterizeRoute = require('./routes/rasterize');
+const imgRoute = require('./routes/img');
+const metricsRoute = require('./routes/metrics');
+const readyRoute = require('./routes/ready');
+const capabilitiesRoute = require('./routes/capabilities');
 
 const app = express();
 app.disable('x-powered-by');
 const PORT = process.env.PORT || 3000;
 
+// Check logging, the work queue, metrics auth and extra formats, load API keys and open the result cache (exits on invalid configuration)
+const logConfig = logger.getLogConfig();
+getMaxQueueLength();
+getMetricsAuth();
+const extraFormats = getExtraFormats();
+const apiKeyCount = initKeyStore();
+const cacheStore = getCacheStore();
+
 // Load Swagger documentation
 const swaggerDocument = YAML.load(path.join(__dirname, '../swagger.yml'));
 
+// Assign a request id (X-Request-Id) that every log line of the request carries
+app.use(requestIdMiddleware);
+
+// Record request metrics for /metrics (before everything else, so every response is counted)
+app.use(metricsMiddleware);
+
 // Parse JSON bodies (for non-multipart requests)
-app.use(express.json());
+// Images in JSON are base64 encoded (4/3 of MAX_FILE_SIZE) plus room for the other parameters
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '52428800', 10);
+app.use(express.json({ limit: Math.ceil(maxFileSize * 4 / 3) + 1024 * 1024 }));
 
 // Request logging middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
+  // Routers rewrite req.path while they handle the request
+  const path = req.path;
 
   // Log after response is finished
   res.on('finish', () => {
-    const duration = Date.now() - startTime;
-    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
-    const method = req.method;
-    const path = req.path;
-    const status = res.statusCode;
-
-    // Log format: [timestamp] IP -> METHOD /path - STATUS (duration ms)
-    const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    console.log(`[${timestamp}] ${ip} -> ${method} ${path} - ${status} (${duration}ms)`);
+    logger.info(`${req.method} ${path} ${res.statusCode}`, {
+      requestId: req.id,
+      ip: req.ip || req.socket?.remoteAddress || 'unknown',
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - startTime,
+      apiKey: req.apiKey?.name
+    });
   });
 
   next();
@@ -55,7 +95,7 @@ app.use('/swagger', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
   customfavIcon: '/favicon.ico'
 }));
 
-// Apply authentication middleware globally (except for /, /swagger, and /health)
+// Apply authentication middleware globally (except for /, /swagger, /health, /ready and signed /img URLs)
 app.use(authMiddleware);
 
 // Health check endpoint (no auth required)
@@ -68,6 +108,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Readiness check: ImageMagick, delegates, temp storage and queue (no auth required)
+app.use('/ready', readyRoute);
+
+// Prometheus metrics (authentication depends on METRICS_AUTH)
+app.use('/metrics', metricsRoute);
+
 // Mount route handlers
 app.use('/terminal', terminalRoute);
 app.use('/resize', resizeRoute);
@@ -75,6 +121,17 @@ app.use('/convert', convertRoute);
 app.use('/rotate', rotateRoute);
 app.use('/crop', cropRoute);
 app.use('/optimize', optimizeRoute);
+app.use('/pipeline', pipelineRoute);
+app.use('/jobs', jobsRoute);
+app.use('/info', infoRoute);
+app.use('/srcset', srcsetRoute);
+app.use('/composite', compositeRoute);
+app.use('/annotate', annotateRoute);
+app.use('/fonts', fontsRoute);
+app.use('/frames', framesRoute);
+app.use('/rasterize', rasterizeRoute);
+app.use('/img', imgRoute);
+app.use('/capabilities', capabilitiesRoute);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -87,8 +144,46 @@ app.use((req, res) => {
 // Global error handler (must be last)
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
+/**
+ * Match the format registry against the installed ImageMagick
+ * Falls back to the built-in format list if `magick -list format` fails.
+ * The MIME types are only listed for EXTRA_FORMATS (image/x-<name> without them).
+ * The ImageMagick version also keys the result cache.
+ * @returns {Promise<void>}
+ */
+const loadFormats = async () => {
+  try {
+    const [formats, version, mimeTypes] = await Promise.all([
+      listFormats(),
+      getMagickVersion(),
+      extraFormats.length > 0 ? listMimeTypes().catch(() => []) : []
+    ]);
+    initFormats(formats, version, mimeTypes);
+    setMagickVersion(version.version);
+  } catch (error) {
+    logger.error('Could not list ImageMagick formats, using the built-in format list', { error: error.message });
+    initFormats(null);
+  }
+};
+
+// Start server once the supported formats are known
+loadFormats().then(() => app.listen(PORT, () => {
+  const formatSource = describeFormats().source;
+  const outputFormats = getOutputFormats();
+
+  // The banner would break line-based JSON log collection
+  if (logConfig.format === 'json') {
+    logger.info('ImageMagick API server started', {
+      port: Number(PORT),
+      environment: process.env.NODE_ENV || 'development',
+      apiKeys: apiKeyCount,
+      resultCache: cacheStore ? cacheStore.stats().backend : 'off',
+      formats: outputFormats,
+      formatSource
+    });
+    return;
+  }
+
   console.log(`
 ╔════════════════════════════════════════════════╗
 ║       ImageMagick API Server Started           ║
@@ -96,31 +191,50 @@ app.listen(PORT, () => {
 
   Port:           ${PORT}
   Environment:    ${process.env.NODE_ENV || 'development'}
-  Authentication: ${process.env.API_TOKEN ? 'Enabled' : 'Disabled'}
-  Max File Size:  ${(parseInt(process.env.MAX_FILE_SIZE || '52428800', 10) / 1024 / 1024).toFixed(0)} MB
+  Authentication: ${apiKeyCount > 0 ? `Enabled (${apiKeyCount} key${apiKeyCount === 1 ? '' : 's'})` : 'Disabled'}
+  Max File Size:  ${(maxFileSize / 1024 / 1024).toFixed(0)} MB
+  Logging:        ${logConfig.format}, level ${logConfig.level}
+  Result Cache:   ${cacheStore ? `${cacheStore.stats().backend}, ${(cacheStore.stats().maxSize / 1024 / 1024).toFixed(0)} MB` : 'Disabled'}
+  Formats:        ${outputFormats.join(', ')}${formatSource === 'defaults' ? ' (built-in list)' : ''}
 
   Endpoints:
   - GET  /              Redirect to Swagger UI
   - GET  /swagger       Swagger UI (Browser-based testing)
-  - GET  /health        Health check
+  - GET  /health        Health check (liveness)
+  - GET  /ready         Readiness check
+  - GET  /metrics       Prometheus metrics
+  - GET  /capabilities  Supported formats and operations
   - POST /terminal      Terminal dithering effect
   - POST /resize        Resize images
   - POST /convert       Format conversion
   - POST /rotate        Rotate/flip images
   - POST /crop          Crop images
   - POST /optimize      Optimize images
+  - POST /pipeline      Chain multiple operations
+  - POST /info          Image metadata
+  - POST /srcset        Responsive image set
+  - POST /composite     Watermark/overlay compositing
+  - POST /annotate      Text annotation
+  - GET  /fonts         Available fonts
+  - POST /frames/extract   Extract animation frames
+  - POST /frames/assemble  Build animated GIF/WebP
+  - POST /rasterize     PDF/multi-page rasterization
+  - GET  /img/...       Signed-URL transforms (image CDN origin)
+  - POST /jobs          Queue an asynchronous job
+  - GET  /jobs/:id      Job status
+  - GET  /jobs/:id/result  Job output
 
   Open http://localhost:${PORT}/ in your browser to test the API!
   `);
-});
+}));
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
+  logger.info('SIGTERM received, shutting down gracefully...');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
+  logger.info('SIGINT received, shutting down gracefully...');
   process.exit(0);
 });
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yamljs');
+const logger = require('./logger');
+
+/**
+ * API Key Store
+ * Named API keys with hashed secrets, route permissions, an optional
+ * per-key upload limit and enabled/expiry state.
+ *
+ * Keys come from API_KEYS_FILE (JSON or YAML, reloaded when the file
+ * changes) and/or API_KEYS (JSON in the environment). A legacy API_TOKEN
+ * is added as key "default" with access to everything.
+ *
+ * Only SHA-256 hashes of the secrets are kept. A presented token is hashed
+ * and compared against every key in constant time.
+ */
+
+const HASH_PATTERN = /^(?:sha256:)?([0-9a-f]{64})$/i;
+
+let keys = [];
+let watchedFile = null;
+
+/**
+ * Hash a secret with SHA-256
+ * @param {string} secret - Plain secret
+ * @returns {Buffer} Digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest();
+
+/**
+ * Normalize a route name ("/resize" and "resize" are the same)
+ * @param {string} route - Route name
+ * @returns {string} Lower-case route name without slashes
+ */
+const normalizeRoute = (route) => String(route).trim().toLowerCase().replace(/^\/+|\/+$/g, '');
+
+/**
+ * Validate and normalize a key definition
+ * @param {Object} entry - Key definition from the configuration
+ * @param {number} index - Position in the configuration (for error messages)
+ * @returns {Object} Key ({ name, hash, routes, maxFileSize, enabled, expiresAt })
+ * @throws {Error} If the definition is invalid
+ */
+const parseKey = (entry, index) => {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`API key ${index + 1}: must be an object`);
+  }
+
+  const name = entry.name ? String(entry.name).trim() : '';
+  if (!name) {
+    throw new Error(`API key ${index + 1}: missing "name"`);
+  }
+
+  const hash = String(entry.secretHash || '').trim().match(HASH_PATTERN);
+  if (!hash) {
+    throw new Error(`API key "${name}": "secretHash" must be a SHA-256 hex digest (optionally prefixed with "sha256:")`);
+  }
+
+  const routes = entry.routes === undefined ? ['*'] : entry.routes;
+  if (!Array.isArray(routes) || routes.length === 0) {
+    throw new Error(`API key "${name}": "routes" must be a non-empty list of route names or "*"`);
+  }
+
+  let maxFileSize = null;
+  if (entry.maxFileSize !== undefined && entry.maxFileSize !== null) {
+    maxFileSize = parseInt(entry.maxFileSize, 10);
+    if (isNaN(maxFileSize) || maxFileSize <= 0) {
+      throw new Error(`API key "${name}": "maxFileSize" must be a positive number of bytes`);
+    }
+  }
+
+  let expiresAt = null;
+  if (entry.expiresAt) {
+    expiresAt = new Date(entry.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      throw new Error(`API key "${name}": "expiresAt" must be an ISO 8601 date`);
+    }
+  }
+
+  return {
+    name,
+    hash: Buffer.from(hash[1], 'hex'),
+    routes: routes.map(normalizeRoute),
+    maxFileSize,
+    enabled: entry.enabled === undefined ? true : entry.enabled === true || entry.enabled === 'true',
+    expiresAt
+  };
+};
+
+/**
+ * Extract the key list from a parsed configuration
+ * Accepts a list of keys or an object with a "keys" list.
+ * @param {*} config - Parsed JSON/YAML
+ * @param {string} source - Source name for error messages
+ * @returns {Object[]} Key definitions
+ */
+const toKeyList = (config, source) => {
+  const list = Array.isArray(config) ? config : config && config.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(`${source} must contain a list of keys or an object with a "keys" list`);
+  }
+  return list;
+};
+
+/**
+ * Read key definitions from a JSON or YAML file
+ * @param {string} filePath - Path to the key file
+ * @returns {Object[]} Key definitions
+ */
+const readKeyFile = (filePath) => {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const yaml = ['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase());
+
+  try {
+    return toKeyList(yaml ? YAML.parse(content) : JSON.parse(content), filePath);
+  } catch (error) {
+    throw new Error(`Invalid API key file ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Load all keys from the configured sources
+ * @returns {Object[]} Keys
+ * @throws {Error} If a source cannot be read or a key is invalid
+ */
+const loadKeys = () => {
+  const entries = [];
+
+  if (process.env.API_KEYS_FILE) {
+    entries.push(...readKeyFile(process.env.API_KEYS_FILE));
+  }
+  if (process.env.API_KEYS && process.env.API_KEYS.trim() !== '') {
+    try {
+      entries.push(...toKeyList(JSON.parse(process.env.API_KEYS), 'API_KEYS'));
+    } catch (error) {
+      throw new Error(`Invalid API_KEYS: ${error.message}`);
+    }
+  }
+
+  const loaded = entries.map(parseKey);
+
+  const apiToken = process.env.API_TOKEN;
+  if (apiToken && apiToken.trim() !== '') {
+    loaded.push({ name: 'default', hash: hashSecret(apiToken), routes: ['*'], maxFileSize: null, enabled: true, expiresAt: null });
+  }
+
+  const names = new Set();
+  for (const key of loaded) {
+    if (names.has(key.name)) {
+      throw new Error(`Duplicate API key name "${key.name}"`);
+    }
+    names.add(key.name);
+  }
+
+  return loaded;
+};
+
+/**
+ * Load the keys and watch API_KEYS_FILE for changes
+ * An invalid file on reload is logged and the previous keys stay active.
+ * @returns {number} Number of loaded keys
+ * @throws {Error} If the initial configuration is invalid
+ */
+const initKeyStore = () => {
+  keys = loadKeys();
+
+  const keyFile = process.env.API_KEYS_FILE;
+  if (keyFile && watchedFile !== keyFile) {
+    if (watchedFile) {
+      fs.unwatchFile(watchedFile);
+    }
+    watchedFile = keyFile;
+
+    // Polling also notices files replaced by editors or config mounts
+    fs.watchFile(keyFile, { interval: 2000, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+        return;
+      }
+      try {
+        keys = loadKeys();
+        logger.info('Reloaded API keys', { keys: keys.length, file: keyFile });
+      } catch (error) {
+        logger.error('Failed to reload API keys, keeping the previous keys', { file: keyFile, error: error.message });
+      }
+    });
+  }
+
+  return keys.length;
+};
+
+/**
+ * Check whether authentication is required
+ * @returns {boolean} True if at least one key is configured
+ */
+const isAuthEnabled = () => keys.length > 0;
+
+/**
+ * Find the key for a presented token
+ * Every key is compared, so the time taken does not depend on which key matches.
+ * @param {string} token - Token from the Authorization header
+ * @returns {Object|null} Matching key
+ */
+const findKey = (token) => {
+  const hash = hashSecret(token);
+  let match = null;
+
+  for (const key of keys) {
+    if (crypto.timingSafeEqual(hash, key.hash) && !match) {
+      match = key;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Check whether a key may use a route
+ * @param {Object} key - API key
+ * @param {string} route - Route name (e.g. "resize")
+ * @returns {boolean} True if the route is allowed
+ */
+const isRouteAllowed = (key, route) => key.routes.includes('*') || key.routes.includes(normalizeRoute(route));
+
+/**
+ * Check whether a key is currently usable
+ * @param {Object} key - API key
+ * @returns {string|null} Reason the key is rejected, or null if it is active
+ */
+const getKeyRejection = (key) => {
+  if (!key.enabled) {
+    return `API key "${key.name}" is disabled.`;
+  }
+  if (key.expiresAt && key.expiresAt.getTime() <= Date.now()) {
+    return `API key "${key.name}" expired at ${key.expiresAt.toISOString()}.`;
+  }
+  return null;
+};
+
+module.exports = {
+  initKeyStore,
+  isAuthEnabled,
+  findKey,
+  isRouteAllowed,
+  getKeyRejection
+};
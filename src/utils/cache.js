@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { version } = require('../../package.json');
+const logger = require('./logger');
+
+/**
+ * Result Cache Utilities
+ * Content-addressed store for finished responses
+ *
+ * Keys are SHA-256 hashes of the input bytes, the operation name and its
+ * parameters, so identical requests map to the same entry. Entries are
+ * evicted least-recently-used once CACHE_MAX_SIZE is exceeded. Responses larger
+ * than CACHE_MAX_ENTRY_SIZE are not stored.
+ *
+ * Backends (CACHE_BACKEND):
+ *   - disk: files in CACHE_DIR, survives restarts (default)
+ *   - memory: process memory, lost on restart
+ *   - off: no caching
+ */
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../cache');
+
+// Bump whenever a change alters the response for the same input and parameters
+const CACHE_REVISION = 1;
+
+let store = null;
+let magickVersion = null;
+
+/**
+ * Record the installed ImageMagick version, which becomes part of every cache key
+ * Called once at startup, before the server accepts requests.
+ * @param {string|null} version - ImageMagick version (e.g. "7.1.1-29"), null if unknown
+ */
+const setMagickVersion = (version) => {
+  magickVersion = version;
+};
+
+/**
+ * Hash input bytes and parameters into a cache key
+ * The cache revision, API version and ImageMagick version are part of the key,
+ * so upgrading either the API or ImageMagick never serves stale results.
+ * @param {string} operation - Operation name
+ * @param {Object} params - Canonical parameters
+ * @param {Buffer[]} buffers - Input images in a fixed order
+ * @returns {string} Hex encoded SHA-256 key
+ */
+const createCacheKey = (operation, params, buffers) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({ revision: CACHE_REVISION, version, magickVersion, operation, params }));
+  for (const buffer of buffers) {
+    hash.update(crypto.createHash('sha256').update(buffer).digest());
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Create an LRU index that tracks entry sizes
+ * Map iteration order is insertion order, so the first key is the least recently used.
+ * @param {number} maxSize - Maximum total size in bytes
+ * @param {Function} onEvict - Called with the key of every evicted entry
+ * @returns {Object} Index ({ has, touch, add, remove, stats })
+ */
+const createLruIndex = (maxSize, onEvict) => {
+  const sizes = new Map();
+  let totalSize = 0;
+
+  const remove = (key) => {
+    if (sizes.has(key)) {
+      totalSize -= sizes.get(key);
+      sizes.delete(key);
+    }
+  };
+
+  return {
+    has: key => sizes.has(key),
+    touch: (key) => {
+      const size = sizes.get(key);
+      sizes.delete(key);
+      sizes.set(key, size);
+    },
+    add: (key, size) => {
+      remove(key);
+      sizes.set(key, size);
+      totalSize += size;
+
+      for (const oldest of sizes.keys()) {
+        if (totalSize <= maxSize) break;
+        remove(oldest);
+        onEvict(oldest);
+      }
+    },
+    remove,
+    stats: () => ({ entries: sizes.size, size: totalSize, maxSize })
+  };
+};
+
+/**
+ * Create the in-memory backend
+ * @param {number} maxSize - Maximum total size in bytes
+ * @param {number} maxEntrySize - Maximum body size of one entry in bytes
+ * @returns {Object} Store ({ get, set, stats, maxEntrySize })
+ */
+const createMemoryStore = (maxSize, maxEntrySize) => {
+  const entries = new Map();
+  const index = createLruIndex(maxSize, key => entries.delete(key));
+
+  return {
+    get: async (key) => {
+      if (!entries.has(key)) return null;
+      index.touch(key);
+      return entries.get(key);
+    },
+    set: async (key, entry) => {
+      if (entry.body.length > maxEntrySize) return;
+      entries.set(key, entry);
+      index.add(key, entry.body.length);
+    },
+    stats: () => ({ backend: 'memory', ...index.stats() }),
+    maxEntrySize
+  };
+};
+
+/**
+ * Create the disk backend
+ * Each entry is a body file plus a JSON file with status and headers.
+ * Existing entries are indexed on first use, oldest modification first, and
+ * leftover temporary files are deleted. If the directory cannot be read, the
+ * error is logged and the store stays empty (every lookup is a miss).
+ * @param {string} dir - Cache directory
+ * @param {number} maxSize - Maximum total size in bytes
+ * @param {number} maxEntrySize - Maximum body size of one entry in bytes
+ * @returns {Object} Store ({ get, set, stats, maxEntrySize })
+ */
+const createDiskStore = (dir, maxSize, maxEntrySize) => {
+  const files = key => [path.join(dir, `${key}.body`), path.join(dir, `${key}.json`)];
+  const removeFiles = key => Promise.all(files(key).map(file => fs.rm(file, { force: true })))
+    .catch(err => logger.error('Failed to evict cache entry', { key, error: err.message }));
+
+  const index = createLruIndex(maxSize, removeFiles);
+
+  const load = (async () => {
+    await fs.mkdir(dir, { recursive: true });
+
+    // Entries that were being written when a previous process stopped
+    const allNames = await fs.readdir(dir);
+    await Promise.all(allNames.filter(name => name.endsWith('.tmp'))
+      .map(name => fs.rm(path.join(dir, name), { force: true })));
+
+    const names = allNames.filter(name => name.endsWith('.body'));
+    const found = await Promise.all(names.map(async (name) => {
+      const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+      return stats && { key: name.slice(0, -'.body'.length), size: stats.size, mtime: stats.mtimeMs };
+    }));
+
+    found.filter(Boolean)
+      .sort((a, b) => a.mtime - b.mtime)
+      .forEach(({ key, size }) => index.add(key, size));
+    return true;
+  })().catch((err) => {
+    logger.error('Failed to open disk cache, result caching disabled', { dir, error: err.message });
+    return false;
+  });
+
+  return {
+    get: async (key) => {
+      if (!(await load) || !index.has(key)) return null;
+
+      const [bodyFile, metaFile] = files(key);
+      try {
+        const [body, meta] = await Promise.all([fs.readFile(bodyFile), fs.readFile(metaFile, 'utf8')]);
+        index.touch(key);
+
+        // Keep the recency across restarts
+        const now = new Date();
+        fs.utimes(bodyFile, now, now).catch(() => {});
+
+        return { ...JSON.parse(meta), body };
+      } catch {
+        index.remove(key);
+        return null;
+      }
+    },
+    set: async (key, entry) => {
+      if (!(await load) || entry.body.length > maxEntrySize) return;
+      const [bodyFile, metaFile] = files(key);
+      const { body, ...meta } = entry;
+
+      // Write under temporary names, so readers never see partial entries
+      const suffix = `.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(metaFile + suffix, JSON.stringify(meta));
+      await fs.writeFile(bodyFile + suffix, body);
+      await fs.rename(metaFile + suffix, metaFile);
+      await fs.rename(bodyFile + suffix, bodyFile);
+
+      index.add(key, body.length);
+    },
+    stats: () => ({ backend: 'disk', ...index.stats() }),
+    maxEntrySize
+  };
+};
+
+/**
+ * Get the configured cache store (created on first use)
+ * @returns {Object|null} Store, or null if caching is off
+ */
+const getCacheStore = () => {
+  const backend = (process.env.CACHE_BACKEND || 'disk').toLowerCase();
+  if (backend === 'off') {
+    return null;
+  }
+
+  if (!store) {
+    const maxSize = parseInt(process.env.CACHE_MAX_SIZE || '268435456', 10);
+    const maxEntrySize = Math.min(parseInt(process.env.CACHE_MAX_ENTRY_SIZE || '16777216', 10), maxSize);
+    if (backend === 'memory') {
+      store = createMemoryStore(maxSize, maxEntrySize);
+    } else if (backend === 'disk') {
+      store = createDiskStore(process.env.CACHE_DIR || DEFAULT_CACHE_DIR, maxSize, maxEntrySize);
+    } else {
+      throw new Error(`Invalid CACHE_BACKEND "${backend}". Supported values: disk, memory, off`);
+    }
+  }
+
+  return store;
+};
+
+module.exports = {
+  createCacheKey,
+  getCacheStore,
+  setMagickVersion
+};
@@ -0,0 +1,269 @@
+const { GRAVITIES, RESIZE_FITS, RESIZE_FILTERS, MAX_STEPS, DEFAULT_MIN_QUALITY } = require('./pipeline');
+const { getOutputFormats, describeFormats } = require('./formats');
+const { JOB_OPERATIONS } = require('./jobs');
+
+/**
+ * Capabilities Utilities
+ * Describes the formats and operations of this instance for GET /capabilities.
+ * Format lists come from the format registry, so they match what the
+ * installed ImageMagick supports.
+ */
+
+/**
+ * Describe a request parameter
+ * @param {string} name - Parameter name
+ * @param {string} type - string, integer, number, boolean, color, file, array or json
+ * @param {string} description - Short description
+ * @param {Object} extra - Optional: required, values, min, max, default
+ * @returns {Object} Parameter description
+ */
+const param = (name, type, description, extra = {}) => ({ name, type, required: false, description, ...extra });
+
+// Every image operation accepts an upload, a base64 string or a URL
+const imageParams = (name = 'image') => [
+  param(name, 'file', 'Image file or base64 string/data URI (required unless the URL is given)'),
+  param(`${name}Url`, 'string', 'http(s) URL to fetch the image from')
+];
+
+const qualityParam = () => param('quality', 'integer', 'Quality for lossy formats', { min: 1, max: 100 });
+
+// Routes that keep the input format can pick one from the Accept header instead
+const autoFormatParam = () => param('format', 'string', 'auto to pick the output format from the Accept header (default: input format)', { values: ['auto'] });
+
+/**
+ * Describe all operations with their parameters
+ * @returns {Object[]} Operations ({ name, method, path, description, parameters })
+ */
+const getOperations = () => {
+  const outputFormats = getOutputFormats();
+  const rasterFormats = getOutputFormats({ vector: false });
+
+  return [
+    {
+      name: 'terminal',
+      method: 'POST',
+      path: '/terminal',
+      description: 'Floyd-Steinberg dithering for terminal display',
+      parameters: imageParams()
+    },
+    {
+      name: 'resize',
+      method: 'POST',
+      path: '/resize',
+      description: 'Resize with fit modes, gravity and resampling filters',
+      parameters: [
+        ...imageParams(),
+        param('width', 'integer', 'Target width in pixels (width and/or height required)', { min: 1 }),
+        param('height', 'integer', 'Target height in pixels (width and/or height required)', { min: 1 }),
+        param('fit', 'string', 'Fit mode, requires width and height', { values: RESIZE_FITS, default: 'fill' }),
+        param('gravity', 'string', 'Anchor for cover/contain', { values: GRAVITIES, default: 'center' }),
+        param('withoutEnlargement', 'boolean', 'Never upscale', { default: false }),
+        param('extend', 'boolean', 'Pad a smaller result to width x height, requires width and height', { default: false }),
+        param('filter', 'string', 'Resampling filter', { values: RESIZE_FILTERS }),
+        param('background', 'color', 'Letterbox color for contain and extend'),
+        autoFormatParam()
+      ]
+    },
+    {
+      name: 'convert',
+      method: 'POST',
+      path: '/convert',
+      description: 'Convert between image formats',
+      parameters: [
+        ...imageParams(),
+        param('format', 'string', 'Target format, auto to pick it from the Accept header', { required: true, values: ['auto', ...outputFormats] }),
+        qualityParam(),
+        param('effort', 'integer', 'Encoder effort for avif, heic and jxl, higher is slower with smaller files', { min: 1, max: 9 })
+      ]
+    },
+    {
+      name: 'rotate',
+      method: 'POST',
+      path: '/rotate',
+      description: 'Rotate or flip',
+      parameters: [
+        ...imageParams(),
+        param('operation', 'string', 'rotate or flip', { required: true, values: ['rotate', 'flip'] }),
+        param('value', 'string', 'Degrees for rotate, direction for flip', { required: true, values: ['90', '180', '270', 'horizontal', 'vertical'] }),
+        autoFormatParam()
+      ]
+    },
+    {
+      name: 'crop',
+      method: 'POST',
+      path: '/crop',
+      description: 'Crop a region or trim borders',
+      parameters: [
+        ...imageParams(),
+        param('mode', 'string', 'manual or trim', { required: true, values: ['manual', 'trim'] }),
+        param('width', 'integer', 'Crop width (mode=manual)', { min: 1 }),
+        param('height', 'integer', 'Crop height (mode=manual)', { min: 1 }),
+        param('x', 'integer', 'X offset (mode=manual)', { min: 0, default: 0 }),
+        param('y', 'integer', 'Y offset (mode=manual)', { min: 0, default: 0 }),
+        autoFormatParam()
+      ]
+    },
+    {
+      name: 'optimize',
+      method: 'POST',
+      path: '/optimize',
+      description: 'Strip metadata, set quality or fit a byte budget',
+      parameters: [
+        ...imageParams(),
+        param('quality', 'integer', 'Quality for lossy formats, lower means smaller files (required unless maxBytes, colors or compressionLevel is given)', { min: 1, max: 100 }),
+        param('maxBytes', 'integer', 'Byte budget, the highest quality whose output fits is used', { min: 1 }),
+        param('minQuality', 'integer', 'Lowest quality for maxBytes', { min: 1, max: 100, default: DEFAULT_MIN_QUALITY }),
+        param('minScale', 'number', 'Smallest scale the image may be shrunk to for maxBytes', { min: 0.1, max: 1, default: 1 }),
+        param('colors', 'integer', 'Palette size for PNG/GIF output', { min: 2, max: 256 }),
+        param('compressionLevel', 'integer', 'zlib compression level for PNG output', { min: 0, max: 9, default: 9 }),
+        autoFormatParam()
+      ]
+    },
+    {
+      name: 'pipeline',
+      method: 'POST',
+      path: '/pipeline',
+      description: 'Chain resize, crop, rotate, convert and optimize steps in one run',
+      parameters: [
+        ...imageParams(),
+        param('steps', 'json', `Array of steps ({ "op": ..., ...parameters of the operation }), at most ${MAX_STEPS}`, {
+          required: true,
+          values: ['resize', 'crop', 'rotate', 'convert', 'optimize']
+        })
+      ]
+    },
+    {
+      name: 'info',
+      method: 'POST',
+      path: '/info',
+      description: 'Image metadata without transforming',
+      parameters: imageParams()
+    },
+    {
+      name: 'srcset',
+      method: 'POST',
+      path: '/srcset',
+      description: 'Responsive image set: all widths in all formats',
+      parameters: [
+        ...imageParams(),
+        param('widths', 'array', 'Widths in pixels', { required: true }),
+        param('formats', 'array', 'Output formats (default: input format)', { values: rasterFormats }),
+        qualityParam(),
+        param('name', 'string', 'Base filename', { default: 'image' }),
+        param('urlPrefix', 'string', 'Prefix for srcset URLs')
+      ]
+    },
+    {
+      name: 'composite',
+      method: 'POST',
+      path: '/composite',
+      description: 'Watermarks and overlays',
+      parameters: [
+        ...imageParams(),
+        ...imageParams('overlay'),
+        param('gravity', 'string', 'Placement anchor', { values: GRAVITIES, default: 'southeast' }),
+        param('x', 'integer', 'Horizontal offset', { default: 0 }),
+        param('y', 'integer', 'Vertical offset', { default: 0 }),
+        param('opacity', 'number', 'Overlay opacity', { min: 0, max: 100, default: 100 }),
+        param('scale', 'number', 'Overlay width relative to the base width', { min: 0, max: 1 }),
+        param('tile', 'boolean', 'Repeat the overlay over the whole image', { default: false }),
+        param('blend', 'string', 'Blend mode', { values: ['over', 'multiply', 'screen', 'overlay', 'darken', 'lighten'], default: 'over' })
+      ]
+    },
+    {
+      name: 'annotate',
+      method: 'POST',
+      path: '/annotate',
+      description: 'Draw text onto an image',
+      parameters: [
+        ...imageParams(),
+        param('text', 'string', 'Text to draw', { required: true }),
+        param('font', 'string', 'Font name or family from GET /fonts'),
+        param('pointsize', 'number', 'Font size in points', { default: 24 }),
+        param('fill', 'color', 'Text color', { default: 'white' }),
+        param('stroke', 'color', 'Outline color'),
+        param('strokeWidth', 'number', 'Outline width', { default: 1 }),
+        param('gravity', 'string', 'Placement anchor', { values: GRAVITIES, default: 'south' }),
+        param('x', 'integer', 'Horizontal offset', { default: 0 }),
+        param('y', 'integer', 'Vertical offset', { default: 0 }),
+        param('angle', 'number', 'Rotation in degrees', { min: -360, max: 360, default: 0 }),
+        param('box', 'color', 'Background box color behind the text')
+      ]
+    },
+    {
+      name: 'fonts',
+      method: 'GET',
+      path: '/fonts',
+      description: 'Fonts available for annotate',
+      parameters: []
+    },
+    {
+      name: 'frames/extract',
+      method: 'POST',
+      path: '/frames/extract',
+      description: 'Extract one or all frames of an animation',
+      parameters: [
+        ...imageParams(),
+        param('frame', 'integer', 'Zero-based frame index (default: all frames)', { min: 0 }),
+        param('format', 'string', 'Output format of the frames', { values: rasterFormats, default: 'png' })
+      ]
+    },
+    {
+      name: 'frames/assemble',
+      method: 'POST',
+      path: '/frames/assemble',
+      description: 'Build an animation from frames',
+      parameters: [
+        param('frames', 'file', 'Frame images in order (2-100)', { required: true }),
+        param('delay', 'integer', 'Delay between frames in milliseconds', { min: 10, max: 655350, default: 100 }),
+        param('loop', 'integer', 'Number of loops, 0 = infinite', { min: 0, max: 65535, default: 0 }),
+        param('format', 'string', 'Animation format', { values: getOutputFormats({ animation: true }), default: 'gif' })
+      ]
+    },
+    {
+      name: 'rasterize',
+      method: 'POST',
+      path: '/rasterize',
+      description: 'Render PDF and multi-page documents to images',
+      parameters: [
+        ...imageParams(),
+        param('pages', 'string', '1-based page range like "1-3,5" (default: first 50 pages)'),
+        param('density', 'integer', 'Rendering resolution in DPI', { min: 36, max: 600, default: 150 }),
+        param('background', 'color', 'Color for transparent areas', { default: 'white' }),
+        param('format', 'string', 'Output format', { values: rasterFormats, default: 'png' }),
+        qualityParam(),
+        param('layout', 'string', 'One image per page, a vertical strip or a contact sheet', { values: ['pages', 'strip', 'sheet'], default: 'pages' }),
+        param('columns', 'integer', 'Thumbnails per row (layout=sheet)', { min: 1 }),
+        param('tileWidth', 'integer', 'Thumbnail width (layout=sheet)', { min: 1, default: 300 })
+      ]
+    },
+    {
+      name: 'jobs',
+      method: 'POST',
+      path: '/jobs',
+      description: 'Queue an operation asynchronously',
+      parameters: [
+        ...imageParams(),
+        param('operation', 'string', 'Operation to run, plus its parameters', { required: true, values: JOB_OPERATIONS })
+      ]
+    }
+  ];
+};
+
+/**
+ * Describe the capabilities of this instance
+ * @returns {Object} { imagemagick, formatSource, formats, operations }
+ */
+const getCapabilities = () => {
+  const { source, imagemagick, formats } = describeFormats();
+  return {
+    imagemagick,
+    formatSource: source,
+    formats,
+    operations: getOperations()
+  };
+};
+
+module.exports = {
+  getCapabilities
+};
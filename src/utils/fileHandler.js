@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { FORMAT_CATALOG, findFormat } = require('./formats');
 
 /**
  * File Handler Utilities
@@ -9,6 +11,12 @@ const { v4: uuidv4 } = require('uuid');
 
 const TEMP_DIR = path.join(__dirname, '../../tmpfiles');
 
+// File signatures from the format registry: every [offset, bytes] part must match
+const SIGNATURES = FORMAT_CATALOG.flatMap(format => format.signatures.map(parts => ({ mimetype: format.mimeType, parts })));
+
+// SVG is text: XML declaration, processing instructions, comments and doctype may precede the root element
+const SVG_PATTERN = /^\s*(<\?[\s\S]*?\?>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>\s*)*<svg[\s/>]/i;
+
 /**
  * Ensure temp directory exists
  */
@@ -63,7 +71,7 @@ const deleteFile = async (filePath, delay = 0) => {
     try {
       await fs.unlink(filePath);
     } catch (err) {
-      console.error(`Failed to delete file ${filePath}:`, err.message);
+      logger.error('Failed to delete file', { file: path.basename(filePath), error: err.code || err.message });
     }
   };
 
@@ -100,18 +108,28 @@ const getExtension = (mimeTypeOrFilename) => {
     return mimeTypeOrFilename.split('.').pop().toLowerCase();
   }
 
-  // MIME type mapping
-  const mimeMap = {
-    'image/jpeg': 'jpg',
-    'image/png': 'png',
-    'image/gif': 'gif',
-    'image/webp': 'webp',
-    'image/bmp': 'bmp',
-    'image/tiff': 'tiff',
-    'image/svg+xml': 'svg'
-  };
+  // MIME type mapping (first extension of the registry format)
+  const format = findFormat(mimeTypeOrFilename);
+  return format ? format.extensions[0] : 'png';
+};
 
-  return mimeMap[mimeTypeOrFilename] || 'png';
+/**
+ * Detect MIME type from file content (magic bytes)
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} Detected MIME type, or null if unknown
+ */
+const detectMimeType = (buffer) => {
+  const match = SIGNATURES.find(({ parts }) => parts.every(([offset, bytes]) => {
+    const signature = Buffer.from(bytes, 'latin1');
+    return buffer.length >= offset + signature.length
+      && buffer.subarray(offset, offset + signature.length).equals(signature);
+  }));
+  if (match) {
+    return match.mimetype;
+  }
+
+  const head = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+  return SVG_PATTERN.test(head) ? 'image/svg+xml' : null;
 };
 
 /**
@@ -120,17 +138,33 @@ const getExtension = (mimeTypeOrFilename) => {
  * @returns {string} MIME type
  */
 const getMimeType = (extension) => {
-  const mimeMap = {
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'png': 'image/png',
-    'gif': 'image/gif',
-    'webp': 'image/webp',
-    'bmp': 'image/bmp',
-    'tiff': 'image/tiff',
-    'svg': 'image/svg+xml'
+  const format = findFormat(extension);
+  return format ? format.mimeType : 'application/octet-stream';
+};
+
+/**
+ * Get size and file count of the temp directory
+ * @returns {Promise<{bytes: number, files: number}>}
+ */
+const getTempDirUsage = async () => {
+  const names = await fs.readdir(TEMP_DIR).catch(() => []);
+  const stats = await Promise.all(names.map(name => fs.stat(path.join(TEMP_DIR, name)).catch(() => null)));
+  const files = stats.filter(entry => entry && entry.isFile());
+
+  return {
+    bytes: files.reduce((total, entry) => total + entry.size, 0),
+    files: files.length
   };
-  return mimeMap[extension.toLowerCase()] || 'application/octet-stream';
+};
+
+/**
+ * Get free space on the file system of the temp directory
+ * @returns {Promise<number>} Bytes available to the process
+ */
+const getTempDirFreeSpace = async () => {
+  await ensureTempDir();
+  const stats = await fs.statfs(TEMP_DIR);
+  return stats.bavail * stats.bsize;
 };
 
 module.exports = {
@@ -141,5 +175,8 @@ module.exports = {
   deleteFile,
   cleanupFiles,
   getExtension,
-  getMimeType
+  getMimeType,
+  detectMimeType,
+  getTempDirUsage,
+  getTempDirFreeSpace
 };
@@ -0,0 +1,473 @@
+/**
+ * Format Registry
+ * The image formats the API knows (names, MIME type, extensions, file
+ * signature, features) and which of them the installed ImageMagick can
+ * read and write.
+ *
+ * The catalog lists every format the API can detect and handle safely.
+ * At startup it is matched against `magick -list format`, so a catalog
+ * format becomes available as soon as its coder is installed in the image
+ * (and allowed by policy.xml), without code changes. Until then, or if the
+ * list cannot be read, the catalog defaults apply.
+ *
+ * Other formats ImageMagick lists can be offered as output with
+ * EXTRA_FORMATS (coder names, e.g. JP2,ICO). Their extension is derived from
+ * the coder name and their MIME type from `magick -list mime`. Without a file
+ * signature they cannot be detected in uploads, so they are never accepted as
+ * input; formats that should be read need a catalog entry.
+ */
+
+const logger = require('./logger');
+
+// input/output: what the API supports for the format, intersected with ImageMagick's modes
+// alpha: keeps transparency, animation: can hold animations, multiFrame: can hold several frames/pages
+// lossy: takes a quality setting, effort: takes an encoder speed/effort setting
+// vector: not a raster format, document: only accepted by /rasterize
+const FORMAT_CATALOG = [
+  {
+    name: 'png',
+    coder: 'PNG',
+    mimeType: 'image/png',
+    extensions: ['png'],
+    signatures: [[[0, '\x89PNG\r\n\x1a\n']]],
+    input: true,
+    output: true,
+    alpha: true
+  },
+  {
+    name: 'jpg',
+    aliases: ['jpeg'],
+    coder: 'JPEG',
+    mimeType: 'image/jpeg',
+    extensions: ['jpg', 'jpeg'],
+    signatures: [[[0, '\xff\xd8\xff']]],
+    input: true,
+    output: true,
+    lossy: true
+  },
+  {
+    name: 'webp',
+    coder: 'WEBP',
+    mimeType: 'image/webp',
+    extensions: ['webp'],
+    signatures: [[[0, 'RIFF'], [8, 'WEBP']]],
+    input: true,
+    output: true,
+    alpha: true,
+    animation: true,
+    multiFrame: true,
+    lossy: true
+  },
+  {
+    name: 'gif',
+    coder: 'GIF',
+    mimeType: 'image/gif',
+    extensions: ['gif'],
+    signatures: [[[0, 'GIF87a']], [[0, 'GIF89a']]],
+    input: true,
+    output: true,
+    alpha: true,
+    animation: true,
+    multiFrame: true
+  },
+  {
+    name: 'bmp',
+    coder: 'BMP',
+    mimeType: 'image/bmp',
+    extensions: ['bmp'],
+    signatures: [[[0, 'BM']]],
+    input: true,
+    output: true
+  },
+  {
+    name: 'tiff',
+    coder: 'TIFF',
+    mimeType: 'image/tiff',
+    extensions: ['tiff', 'tif'],
+    signatures: [[[0, 'II*\x00']], [[0, 'MM\x00*']]],
+    input: true,
+    output: true,
+    alpha: true,
+    multiFrame: true
+  },
+  {
+    // ISO-BMFF container, identified by the major brand of the ftyp box
+    name: 'avif',
+    coder: 'AVIF',
+    mimeType: 'image/avif',
+    extensions: ['avif'],
+    signatures: [[[4, 'ftypavif']], [[4, 'ftypavis']]],
+    input: true,
+    output: true,
+    alpha: true,
+    lossy: true,
+    effort: true
+  },
+  {
+    // Generic HEIF brands (mif1, msf1) are read by the same libheif coder as AVIF
+    name: 'heic',
+    aliases: ['heif'],
+    coder: 'HEIC',
+    mimeType: 'image/heic',
+    extensions: ['heic', 'heif'],
+    signatures: ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].map(brand => [[4, `ftyp${brand}`]]),
+    input: true,
+    output: true,
+    alpha: true,
+    lossy: true,
+    effort: true
+  },
+  {
+    // Bare codestream or ISO-BMFF container
+    name: 'jxl',
+    coder: 'JXL',
+    mimeType: 'image/jxl',
+    extensions: ['jxl'],
+    signatures: [[[0, '\xff\x0a']], [[0, '\x00\x00\x00\x0cJXL \r\n\x87\n']]],
+    input: true,
+    output: true,
+    alpha: true,
+    lossy: true,
+    effort: true
+  },
+  {
+    // Detected by its root element (see fileHandler.js) and sanitized on upload
+    name: 'svg',
+    coder: 'SVG',
+    mimeType: 'image/svg+xml',
+    extensions: ['svg'],
+    signatures: [],
+    input: true,
+    output: true,
+    alpha: true,
+    vector: true
+  },
+  {
+    name: 'pdf',
+    coder: 'PDF',
+    mimeType: 'application/pdf',
+    extensions: ['pdf'],
+    signatures: [[[0, '%PDF-']]],
+    input: true,
+    output: false,
+    multiFrame: true,
+    vector: true,
+    document: true
+  }
+];
+
+// format=auto: formats only picked if the client lists their MIME type explicitly, best first.
+// Wildcards (*/*, image/*) are also sent by clients that cannot decode them.
+const AUTO_PREFERRED = ['avif', 'jxl', 'webp'];
+
+// format=auto: formats every client can display, picked for wildcards (input format first)
+const AUTO_FALLBACK = ['jpg', 'png', 'gif'];
+
+// Format name to { read, write } of the installed ImageMagick (null: catalog defaults)
+let modes = null;
+let imagemagick = null;
+
+// Output formats added with EXTRA_FORMATS, derived from the ImageMagick format list
+let derivedFormats = [];
+
+/**
+ * Get the catalog and the derived formats
+ * @returns {Object[]} Format entries
+ */
+const allFormats = () => FORMAT_CATALOG.concat(derivedFormats);
+
+/**
+ * Get the ImageMagick coders to offer in addition to the catalog (EXTRA_FORMATS)
+ * Called at startup, so a malformed list stops the server.
+ * @returns {string[]} Coder names (upper case)
+ * @throws {Error} If an entry is not a coder name
+ */
+const getExtraFormats = () => {
+  const coders = String(process.env.EXTRA_FORMATS || '').split(',')
+    .map(coder => coder.trim().toUpperCase())
+    .filter(Boolean);
+
+  const invalid = coders.find(coder => !/^[A-Z0-9][A-Z0-9-]*$/.test(coder));
+  if (invalid) {
+    throw new Error(`Invalid EXTRA_FORMATS entry "${invalid}". Expected ImageMagick coder names, e.g. JP2,ICO`);
+  }
+  return [...new Set(coders)];
+};
+
+/**
+ * Derive the MIME type of a format outside the catalog
+ * @param {string} name - Format name (lower case coder name)
+ * @param {string[]} mimeTypes - MIME types known to ImageMagick (magick -list mime)
+ * @returns {string} image/<name> or image/x-<name>, whichever ImageMagick knows (image/x-<name> if neither)
+ */
+const deriveMimeType = (name, mimeTypes) => [`image/${name}`, `image/x-${name}`]
+  .find(mimeType => mimeTypes.includes(mimeType)) || `image/x-${name}`;
+
+/**
+ * Build output-only entries for the EXTRA_FORMATS coders ImageMagick lists
+ * Coders that are part of the catalog (under any name) are skipped.
+ * @param {Object[]} magickFormats - Result of listFormats()
+ * @param {string[]} mimeTypes - MIME types known to ImageMagick
+ * @returns {Object[]} Format entries
+ */
+const deriveFormats = (magickFormats, mimeTypes) => getExtraFormats()
+  .filter(coder => !findFormat(coder))
+  .map((coder) => {
+    const installed = magickFormats.find(format => format.coder === coder);
+    if (!installed) {
+      logger.warn('EXTRA_FORMATS coder is not listed by ImageMagick', { coder });
+      return null;
+    }
+
+    const name = coder.toLowerCase();
+    return {
+      name,
+      coder,
+      mimeType: deriveMimeType(name, mimeTypes),
+      extensions: [name],
+      signatures: [],
+      input: false,
+      output: true,
+      multiFrame: installed.multiFrame,
+      derived: true
+    };
+  })
+  .filter(Boolean);
+
+/**
+ * Match the catalog against the formats of the installed ImageMagick
+ * and derive the EXTRA_FORMATS entries (only possible with a format list).
+ * @param {Object[]|null} magickFormats - Result of listFormats(), or null to use the catalog defaults
+ * @param {Object|null} version - Result of getMagickVersion() (reported by GET /capabilities)
+ * @param {string[]} mimeTypes - Result of listMimeTypes(), for the MIME types of EXTRA_FORMATS
+ */
+const initFormats = (magickFormats, version = null, mimeTypes = []) => {
+  imagemagick = version;
+  derivedFormats = [];
+
+  if (!magickFormats) {
+    modes = null;
+    return;
+  }
+
+  derivedFormats = deriveFormats(magickFormats, mimeTypes);
+  const byCoder = new Map(magickFormats.map(format => [format.coder.toUpperCase(), format]));
+  modes = new Map(allFormats().map((format) => {
+    const installed = byCoder.get(format.coder);
+    return [format.name, { read: Boolean(installed && installed.read), write: Boolean(installed && installed.write) }];
+  }));
+};
+
+/**
+ * Check whether a format can be read and written on this installation
+ * @param {Object} format - Catalog entry
+ * @returns {{read: boolean, write: boolean}}
+ */
+const getSupport = (format) => {
+  const mode = modes ? modes.get(format.name) : { read: true, write: true };
+  return { read: format.input && mode.read, write: format.output && mode.write };
+};
+
+/**
+ * Find a catalog or derived entry by name, alias, extension or MIME type
+ * @param {string} value - Format name (jpeg), extension (tif) or MIME type (image/jpeg)
+ * @returns {Object|undefined} Format entry
+ */
+const findFormat = (value) => {
+  const key = String(value || '').toLowerCase();
+  return allFormats().find(format => format.name === key
+    || format.mimeType === key
+    || (format.aliases || []).includes(key)
+    || format.extensions.includes(key));
+};
+
+/**
+ * Get the formats that can be written
+ * Names are listed with their aliases (jpg, jpeg), as accepted by the format parameters.
+ * @param {Object} options - Filters
+ * @param {boolean} options.vector - Include vector output (SVG, default true)
+ * @param {boolean} options.animation - Only formats that can hold animations (default false)
+ * @returns {string[]} Format names
+ */
+const getOutputFormats = ({ vector = true, animation = false } = {}) => allFormats()
+  .filter(format => getSupport(format).write
+    && (vector || !format.vector)
+    && (!animation || format.animation))
+  .flatMap(format => [format.name, ...(format.aliases || [])]);
+
+/**
+ * Get the MIME types that are accepted as input
+ * @param {Object} options - Filters
+ * @param {boolean} options.documents - Include documents (PDF, default false)
+ * @returns {string[]} MIME types
+ */
+const getInputMimeTypes = ({ documents = false } = {}) => FORMAT_CATALOG
+  .filter(format => getSupport(format).read && (documents || !format.document))
+  .map(format => format.mimeType);
+
+/**
+ * Get the canonical name of a format (jpeg -> jpg)
+ * @param {string} name - Format name or alias
+ * @returns {string} Canonical name (the input if unknown)
+ */
+const normalizeFormat = (name) => {
+  const format = findFormat(name);
+  return format ? format.name : String(name).toLowerCase();
+};
+
+/**
+ * Check whether a format can be written on this installation
+ * @param {string} name - Format name, alias or extension
+ * @returns {boolean}
+ */
+const canWrite = (name) => {
+  const format = findFormat(name);
+  return Boolean(format) && getSupport(format).write;
+};
+
+/**
+ * Reject a known format whose codec is missing in the installed ImageMagick
+ * Gives a clear error instead of a generic ImageMagick failure, e.g. for
+ * HEIC uploads on a build without libheif.
+ * @param {string} name - Format name, alias, extension or MIME type
+ * @param {string} mode - read (input) or write (output)
+ * @throws {Error} 415 for input, 422 for output if the codec is missing
+ */
+const checkCodec = (name, mode) => {
+  const format = findFormat(name);
+  const supported = mode === 'read' ? format && format.input : format && format.output;
+  if (!supported || getSupport(format)[mode]) {
+    return;
+  }
+
+  const error = new Error(mode === 'read'
+    ? `${format.coder} images cannot be read: the installed ImageMagick has no ${format.coder} decoder (codec not compiled in or disabled in policy.xml)`
+    : `Cannot write ${format.coder}: the installed ImageMagick has no ${format.coder} encoder (codec not compiled in or disabled in policy.xml)`);
+  error.statusCode = mode === 'read' ? 415 : 422;
+  throw error;
+};
+
+/**
+ * Check a feature flag of a format
+ * @param {string} name - Format name, alias or extension
+ * @param {string} feature - alpha, animation, multiFrame, lossy, effort, vector or document
+ * @returns {boolean}
+ */
+const hasFeature = (name, feature) => Boolean(findFormat(name)?.[feature]);
+
+/**
+ * Parse an Accept header into media ranges
+ * @param {string|undefined} header - Accept header (missing means any type)
+ * @returns {{type: string, subtype: string, q: number}[]} Media ranges
+ */
+const parseAccept = (header) => String(header || '*/*').split(',')
+  .map((range) => {
+    const [mediaType, ...params] = range.trim().toLowerCase().split(';');
+    const [type, subtype] = mediaType.trim().split('/');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const q = qParam ? parseFloat(qParam.substring(2)) : 1;
+    return { type, subtype, q: Number.isNaN(q) ? 0 : Math.min(Math.max(q, 0), 1) };
+  })
+  .filter(range => range.type && range.subtype);
+
+/**
+ * Get the quality a client gives a MIME type (the most specific range wins)
+ * @param {Object[]} ranges - Parsed Accept header
+ * @param {string} mimeType - MIME type
+ * @param {boolean} explicitOnly - Ignore wildcard ranges
+ * @returns {number} Quality (0 = not acceptable)
+ */
+const acceptQuality = (ranges, mimeType, explicitOnly) => {
+  const [type, subtype] = mimeType.split('/');
+  const match = ranges.find(range => range.type === type && range.subtype === subtype)
+    || (!explicitOnly && ranges.find(range => range.type === type && range.subtype === '*'))
+    || (!explicitOnly && ranges.find(range => range.type === '*' && range.subtype === '*'));
+  return match ? match.q : 0;
+};
+
+/**
+ * Pick the output format for format=auto
+ * Only writable raster formats that keep the transparency and animation of
+ * the input are considered. The client's preference (q) decides; on equal
+ * preference, AUTO_PREFERRED formats win over the fallback (the input format
+ * if every client can display it, otherwise JPEG, PNG or GIF).
+ * @param {string|undefined} accept - Accept header of the request
+ * @param {Object} input - Input properties
+ * @param {string} input.format - Input format
+ * @param {boolean} input.alpha - Input has an alpha channel
+ * @param {boolean} input.animated - Input is an animation
+ * @returns {string} Format name
+ */
+const negotiateFormat = (accept, { format, alpha = false, animated = false }) => {
+  const candidates = FORMAT_CATALOG.filter(entry => getSupport(entry).write
+    && !entry.vector
+    && (!alpha || entry.alpha)
+    && (!animated || entry.animation));
+  if (candidates.length === 0) {
+    return normalizeFormat(format);
+  }
+
+  const byName = name => candidates.find(entry => entry.name === name);
+  const fallback = [normalizeFormat(format), ...AUTO_FALLBACK]
+    .map(byName)
+    .find(entry => entry && AUTO_FALLBACK.includes(entry.name)) || candidates[0];
+
+  // Ties go to the earlier entry
+  const ranked = [...new Set([...AUTO_PREFERRED.map(byName).filter(Boolean), fallback, ...candidates])];
+  const ranges = parseAccept(accept);
+  let best = fallback;
+  let bestQuality = 0;
+
+  ranked.forEach((entry) => {
+    const quality = acceptQuality(ranges, entry.mimeType, AUTO_PREFERRED.includes(entry.name));
+    if (quality > bestQuality) {
+      best = entry;
+      bestQuality = quality;
+    }
+  });
+
+  return best.name;
+};
+
+/**
+ * Describe all catalog and derived formats with their support on this installation (GET /capabilities)
+ * @returns {Object} { source, imagemagick, formats }
+ */
+const describeFormats = () => ({
+  source: modes ? 'imagemagick' : 'defaults',
+  imagemagick,
+  formats: allFormats().map((format) => {
+    const { read, write } = getSupport(format);
+    return {
+      name: format.name,
+      aliases: format.aliases || [],
+      mimeType: format.mimeType,
+      extensions: format.extensions,
+      read,
+      write,
+      alpha: Boolean(format.alpha),
+      animation: Boolean(format.animation),
+      multiFrame: Boolean(format.multiFrame),
+      lossy: Boolean(format.lossy),
+      effort: Boolean(format.effort),
+      vector: Boolean(format.vector),
+      document: Boolean(format.document),
+      derived: Boolean(format.derived)
+    };
+  })
+});
+
+module.exports = {
+  FORMAT_CATALOG,
+  getExtraFormats,
+  initFormats,
+  findFormat,
+  getOutputFormats,
+  getInputMimeTypes,
+  normalizeFormat,
+  canWrite,
+  checkCodec,
+  hasFeature,
+  negotiateFormat,
+  describeFormats
+};
@@ -1,33 +1,250 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
-
-const execPromise = promisify(exec);
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const { schedule } = require('./queue');
+const { magickDuration, magickFailures, magickProcesses } = require('./metrics');
+const logger = require('./logger');
+const { hasFeature, normalizeFormat } = require('./formats');
+const { parseIptc, parseXmp } = require('./metadata');
 
 /**
  * ImageMagick Command Utilities
  * Wrapper functions for executing ImageMagick commands
+ *
+ * Commands are passed as argument arrays straight to the magick binary,
+ * never through a shell.
+ */
+
+const MAGICK_BINARY = 'magick';
+
+// magick sub-commands that must stay in first position
+const SUBCOMMANDS = ['identify', 'mogrify', 'montage', 'compare', 'composite', 'conjure', 'stream'];
+
+// Resource limit names mapped to their environment variables
+const LIMIT_ENV = {
+  memory: 'MAGICK_LIMIT_MEMORY',
+  map: 'MAGICK_LIMIT_MAP',
+  area: 'MAGICK_LIMIT_AREA',
+  disk: 'MAGICK_LIMIT_DISK',
+  time: 'MAGICK_LIMIT_TIME',
+  thread: 'MAGICK_LIMIT_THREAD'
+};
+
+const LIMIT_DEFAULTS = {
+  memory: '256MiB',
+  map: '512MiB',
+  area: '128MP',
+  disk: '1GiB'
+};
+
+/**
+ * Get default resource limits from environment
+ * @returns {Object} Limit name to value (unset limits are omitted)
+ */
+const getDefaultLimits = () => {
+  const limits = {};
+
+  for (const [name, envVar] of Object.entries(LIMIT_ENV)) {
+    const value = process.env[envVar] !== undefined ? process.env[envVar] : LIMIT_DEFAULTS[name];
+    if (value !== undefined && String(value).trim() !== '') {
+      limits[name] = String(value).trim();
+    }
+  }
+
+  return limits;
+};
+
+/**
+ * Get default wall-clock timeout from environment
+ * @returns {number} Timeout in milliseconds (0 disables the timeout)
  */
+const getDefaultTimeout = () => parseInt(process.env.MAGICK_TIMEOUT || '60000', 10);
 
 /**
- * Execute ImageMagick command
- * @param {string} command - Full magick command to execute
+ * Insert -limit options into an argument list
+ * @param {string[]} args - magick arguments
+ * @param {Object} limits - Limit name to value
+ * @returns {string[]} Arguments with limits applied
+ */
+const applyLimits = (args, limits) => {
+  const limitArgs = Object.entries(limits).flatMap(([name, value]) => ['-limit', name, value]);
+  const offset = SUBCOMMANDS.includes(args[0]) ? 1 : 0;
+  return [...args.slice(0, offset), ...limitArgs, ...args.slice(offset)];
+};
+
+// Directory part of absolute paths (/app/tmpfiles/ in png:/app/tmpfiles/1f0c.png)
+const DIRECTORY_PATTERN = /(?<![\w.])\/(?:[^/\s'"`:[\]]+\/)+/g;
+
+/**
+ * Strip directories from a string for logging
+ * Temp file names stay visible, so lines of one request can still be matched.
+ * @param {string} text - Argument or stderr output
+ * @returns {string} Text with directories replaced by "<dir>/"
+ */
+const redactPaths = (text) => String(text).replace(DIRECTORY_PATTERN, '<dir>/');
+
+// "no decode delegate for this image format `HEIC'", "delegate library support not built-in `x.jxl' (JXL)"
+const MISSING_CODEC_PATTERN = /no (decode|encode) delegate for this image format `([^']*)'/;
+const MISSING_LIBRARY_PATTERN = /delegate library support not built-in `[^']*' \((\w+)\)/;
+
+/**
+ * Turn a missing codec in magick's stderr into a clear client error
+ * @param {string} details - stderr output
+ * @returns {Error|null} Error (415 if the input cannot be decoded, 422 otherwise), null for other failures
+ */
+const codecError = (details) => {
+  const codec = details.match(MISSING_CODEC_PATTERN);
+  const library = details.match(MISSING_LIBRARY_PATTERN);
+  if (!codec && !library) {
+    return null;
+  }
+
+  const decode = Boolean(codec) && codec[1] === 'decode';
+  const coder = codec ? codec[2] || 'this format' : library[1];
+  const error = new Error(codec
+    ? `The installed ImageMagick has no ${coder} ${decode ? 'decoder' : 'encoder'} (codec not compiled in)`
+    : `The installed ImageMagick was built without ${coder} support (codec not compiled in)`);
+  error.statusCode = decode ? 415 : 422;
+  return error;
+};
+
+/**
+ * Spawn magick and wait for it to exit
+ * @param {string[]} args - Final arguments passed to the magick binary
+ * @param {number} timeout - Wall-clock timeout in milliseconds
  * @returns {Promise<{stdout: string, stderr: string}>}
- * @throws {Error} If command fails
  */
-const executeCommand = async (command) => {
-  try {
-    const { stdout, stderr } = await execPromise(command, {
-      maxBuffer: 50 * 1024 * 1024 // 50 MB buffer for large images
-    });
+const runMagick = (args, timeout) => new Promise((resolve, reject) => {
+  execFile(MAGICK_BINARY, args, {
+    maxBuffer: 50 * 1024 * 1024, // 50 MB buffer for large images
+    timeout,
+    killSignal: 'SIGKILL'
+  }, (error, stdout, stderr) => {
+    if (error) {
+      if (error.killed && timeout > 0) {
+        const timeoutError = new Error(`ImageMagick command timed out after ${timeout} ms`);
+        timeoutError.statusCode = 504;
+        return reject(timeoutError);
+      }
 
-    if (stderr && stderr.trim()) {
-      console.warn('ImageMagick stderr:', stderr);
+      const details = stderr && stderr.trim() ? stderr.trim() : error.message;
+      const commandError = codecError(details) || new Error(`ImageMagick command failed: ${details}`);
+      commandError.stderr = stderr;
+      commandError.exitCode = error.code;
+      return reject(commandError);
     }
 
-    return { stdout, stderr };
-  } catch (error) {
-    throw new Error(`ImageMagick command failed: ${error.message}`);
+    resolve({ stdout, stderr });
+  });
+});
+
+/**
+ * Execute ImageMagick command through the global work queue
+ * Every run is logged with its command (directories redacted), duration and
+ * stderr: failures as errors, runs with stderr output as warnings, all
+ * others at debug level.
+ * @param {string[]} args - Arguments passed to the magick binary
+ * @param {Object} options - Optional overrides
+ * @param {string} options.operation - Operation name, used for queue weighting
+ * @param {number} options.timeout - Wall-clock timeout in milliseconds
+ * @param {Object} options.limits - Resource limits merged over the defaults
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ * @throws {Error} If command fails (statusCode 504 on timeout, 503 if the queue is full)
+ */
+const executeCommand = (args, options = {}) => {
+  const timeout = options.timeout !== undefined ? options.timeout : getDefaultTimeout();
+  const limits = { ...getDefaultLimits(), ...options.limits };
+  const finalArgs = applyLimits(args, limits);
+
+  const operation = options.operation || 'unknown';
+  const command = [MAGICK_BINARY, ...finalArgs].map(redactPaths).join(' ');
+
+  return schedule(async () => {
+    const startTime = process.hrtime.bigint();
+    const elapsedMs = () => Math.round(Number(process.hrtime.bigint() - startTime) / 1e6);
+    magickProcesses.inc();
+
+    try {
+      const result = await runMagick(finalArgs, timeout);
+      const stderr = result.stderr.trim() ? redactPaths(result.stderr.trim()) : undefined;
+      logger[stderr ? 'warn' : 'debug']('magick command finished', { operation, command, durationMs: elapsedMs(), stderr });
+      return result;
+    } catch (error) {
+      logger.error(error.statusCode === 504 ? 'magick command timed out' : 'magick command failed', {
+        operation,
+        command,
+        durationMs: elapsedMs(),
+        exitCode: error.exitCode,
+        stderr: error.stderr && error.stderr.trim() ? redactPaths(error.stderr.trim()) : undefined
+      });
+      magickFailures.inc({ operation, reason: error.statusCode === 504 ? 'timeout' : 'error' });
+      throw error;
+    } finally {
+      magickProcesses.dec();
+      magickDuration.observe({ operation }, Number(process.hrtime.bigint() - startTime) / 1e9);
+    }
+  }, options.operation).catch((error) => {
+    if (error.statusCode === 503) {
+      logger.warn('magick queue full, command rejected', { operation });
+      magickFailures.inc({ operation, reason: 'queue_full' });
+    }
+    throw error;
+  });
+};
+
+/**
+ * Get ImageMagick version and built-in delegates
+ * @param {Object} options - executeCommand options (e.g. timeout)
+ * @returns {Promise<{version: string, delegates: string[]}>}
+ */
+const getMagickVersion = async (options = {}) => {
+  const { stdout } = await executeCommand(['-version'], { operation: 'identify', ...options });
+  const version = stdout.match(/^Version: ImageMagick (\S+)/m);
+  const delegates = stdout.match(/^Delegates \(built-in\):(.*)$/m);
+  return {
+    version: version ? version[1] : 'unknown',
+    delegates: delegates ? delegates[1].trim().split(/\s+/).filter(Boolean) : []
+  };
+};
+
+/**
+ * List the formats of the installed ImageMagick
+ * Parses ImageMagick 6 lines like "     WEBP* rw+   WebP Image Format (libwebp 1.3.2 [020F])"
+ * and ImageMagick 7 lines with a module column like "     AVIF  HEIC      rw+   AV1 Image File Format".
+ * @returns {Promise<{coder: string, read: boolean, write: boolean, multiFrame: boolean, description: string}[]>}
+ * @throws {Error} If no format could be parsed (unknown output layout)
+ */
+const listFormats = async () => {
+  const { stdout } = await executeCommand(['-list', 'format'], { operation: 'identify' });
+
+  const formats = stdout.split('\n')
+    .map(line => line.match(/^\s*([A-Z0-9][A-Z0-9-]*)\*?\s+(?:[A-Z0-9][A-Z0-9-]*\s+)?([r-])([w-])([+-])\s+(.*)$/i))
+    .filter(Boolean)
+    .map(([, coder, read, write, multiFrame, description]) => ({
+      coder: coder.toUpperCase(),
+      read: read === 'r',
+      write: write === 'w',
+      multiFrame: multiFrame === '+',
+      description: description.trim()
+    }));
+
+  // An empty list would mark every format as unsupported
+  if (formats.length === 0) {
+    throw new Error('Could not parse the output of magick -list format');
   }
+  return formats;
+};
+
+/**
+ * List the MIME types ImageMagick knows (mime.xml)
+ * Parses lines like "image/jp2                    JPEG-2000 image".
+ * @returns {Promise<string[]>} MIME types (lower case)
+ */
+const listMimeTypes = async () => {
+  const { stdout } = await executeCommand(['-list', 'mime'], { operation: 'identify' });
+  return stdout.split('\n')
+    .map(line => line.match(/^\s*([\w.+-]+\/[\w.+-]+)/))
+    .filter(Boolean)
+    .map(([, mimeType]) => mimeType.toLowerCase());
 };
 
 /**
@@ -36,48 +253,398 @@ const executeCommand = async (command) => {
  * @returns {Promise<{width: number, height: number}>}
  */
 const getImageDimensions = async (inputPath) => {
-  const command = `magick identify -format "%w %h" "${inputPath}"`;
-  const { stdout } = await executeCommand(command);
+  const { stdout } = await executeCommand(['identify', '-format', '%w %h', `${inputPath}[0]`], { operation: 'identify' });
   const [width, height] = stdout.trim().split(' ').map(Number);
   return { width, height };
 };
 
 /**
- * Terminal dithering effect (as specified)
+ * Get size of every frame/page from the file header (no pixel data is decoded)
+ * @param {string} inputPath - Path to image file
+ * @param {number|null} density - Rasterization density for vector input (e.g. PDF) in DPI
+ * @returns {Promise<{width: number, height: number}[]>} Size per frame (the larger of frame and canvas size)
+ */
+const getFrameSizes = async (inputPath, density = null) => {
+  const { stdout } = await executeCommand([
+    'identify', '-ping',
+    ...(density ? ['-density', String(density)] : []),
+    '-format', '%w %h %W %H\\n',
+    inputPath
+  ], { operation: 'identify' });
+
+  return stdout.trim().split('\n').filter(Boolean).map((line) => {
+    const [width, height, pageWidth, pageHeight] = line.trim().split(/\s+/).map(value => parseInt(value, 10) || 0);
+    return { width: Math.max(width, pageWidth), height: Math.max(height, pageHeight) };
+  });
+};
+
+/**
+ * Get number of frames/pages (header-only read)
+ * @param {string} inputPath - Path to image file
+ * @returns {Promise<number>} Frame count
+ */
+const getFrameCount = async (inputPath) => {
+  const { stdout } = await executeCommand(['identify', '-ping', '-format', '%n\\n', inputPath], { operation: 'identify' });
+  return parseInt(stdout.split('\n')[0], 10) || 1;
+};
+
+/**
+ * Check whether an image has an alpha channel (header-only read of the first frame)
+ * @param {string} inputPath - Path to image file
+ * @returns {Promise<boolean>} True if the image has an alpha channel
+ */
+const hasAlphaChannel = async (inputPath) => {
+  const { stdout } = await executeCommand(['identify', '-ping', '-format', '%A\\n', `${inputPath}[0]`], { operation: 'identify' });
+  return !['false', 'undefined', ''].includes(stdout.split('\n')[0].trim().toLowerCase());
+};
+
+/**
+ * Build input arguments for a (possibly multi-frame) source
+ * Animations are coalesced so every frame is a full canvas, keeping delays and loop count.
+ * Formats that cannot hold several frames get the first frame only.
+ * @param {string} inputPath - Path to input image
+ * @param {string} format - Output format
+ * @param {number} frames - Frame count of the input
+ * @returns {string[]} ImageMagick arguments
+ */
+const sourceArgs = (inputPath, format, frames) => {
+  if (frames <= 1) {
+    return [inputPath];
+  }
+  return hasFeature(format, 'multiFrame') ? [inputPath, '-coalesce'] : [`${inputPath}[0]`];
+};
+
+/**
+ * Build arguments applied right before writing a (possibly multi-frame) result
+ * @param {string} format - Output format
+ * @param {number} frames - Frame count of the input
+ * @returns {string[]} ImageMagick arguments
+ */
+const finishArgs = (format, frames) => (frames > 1 && format === 'gif' ? ['-layers', 'Optimize'] : []);
+
+/**
+ * Apply operators to every frame of an image and write the result
  * @param {string} inputPath - Path to input image
  * @param {string} outputPath - Path to output image
+ * @param {string[]} operators - ImageMagick operator arguments
+ * @param {string} format - Output format
+ * @param {string} operation - Operation name for the work queue
+ * @param {number|null} frames - Known frame count (detected if null)
+ * @returns {Promise<{stdout: string, stderr: string}>} Command output
  */
-const terminalDither = async (inputPath, outputPath) => {
-  const command = `magick "${inputPath}" -contrast-stretch 0x10% -sharpen 0x1 -dither FloydSteinberg -remap pattern:gray50 -depth 1 -strip png:"${outputPath}"`;
-  await executeCommand(command);
+const transformImage = async (inputPath, outputPath, operators, format, operation, frames = null) => {
+  const frameCount = frames || await getFrameCount(inputPath);
+  return executeCommand([
+    ...sourceArgs(inputPath, format, frameCount),
+    ...operators,
+    ...finishArgs(format, frameCount),
+    `${format}:${outputPath}`
+  ], { operation });
+};
+
+/**
+ * Get bounding box of the non-border area across all frames
+ * @param {string} inputPath - Path to (multi-frame) image
+ * @returns {Promise<string>} Crop geometry (WxH+X+Y)
+ */
+const getTrimBounds = async (inputPath) => {
+  const { stdout } = await executeCommand([
+    inputPath, '-coalesce', '-background', 'none', '-flatten', '-format', '%@', 'info:'
+  ], { operation: 'identify' });
+  return stdout.trim();
+};
+
+// Per-frame identify format, '|' separated, ICC description last since it may contain '|'
+const INFO_FORMAT = '%m|%w|%h|%z|%[colorspace]|%A|%x|%y|%U|%[orientation]|%[icc:description]\\n';
+
+/**
+ * Group ImageMagick properties by namespace (exif, iptc, xmp, other)
+ * @param {Object} properties - Flat property map from json: output
+ * @returns {{exif: Object, iptc: Object, xmp: Object, properties: Object}}
+ */
+const groupProperties = (properties = {}) => {
+  const groups = { exif: {}, iptc: {}, xmp: {}, properties: {} };
+
+  for (const [key, value] of Object.entries(properties)) {
+    const [namespace, ...rest] = key.split(':');
+    const group = groups[namespace.toLowerCase()];
+    if (group && rest.length > 0) {
+      group[rest.join(':')] = value;
+    } else {
+      groups.properties[key] = value;
+    }
+  }
+
+  return groups;
 };
 
+// Profiles whose content is decoded for /info, with their parser
+const METADATA_PROFILES = { iptc: parseIptc, xmp: parseXmp };
+
 /**
- * Resize image with aspect ratio preservation
+ * Decode the IPTC and XMP profiles of the first frame
+ * The iptc: and xmp: coders write the raw profiles next to the input file,
+ * all in one magick run.
+ * @param {string} inputPath - Path to image file
+ * @param {string[]} names - Names of the embedded profiles (lower case)
+ * @returns {Promise<Object>} Profile name to decoded values, for the profiles that are present
+ */
+const readMetadataProfiles = async (inputPath, names) => {
+  const targets = Object.keys(METADATA_PROFILES)
+    .filter(name => names.includes(name))
+    .map(name => ({ name, path: `${inputPath}.${name}` }));
+  if (targets.length === 0) {
+    return {};
+  }
+
+  const last = targets[targets.length - 1];
+  const args = [
+    `${inputPath}[0]`,
+    ...targets.slice(0, -1).flatMap(target => ['-write', `${target.name}:${target.path}`]),
+    `${last.name}:${last.path}`
+  ];
+
+  try {
+    await executeCommand(args, { operation: 'info' });
+    const decoded = {};
+    for (const target of targets) {
+      decoded[target.name] = METADATA_PROFILES[target.name](await fs.readFile(target.path));
+    }
+    return decoded;
+  } catch (error) {
+    logger.warn('Could not read IPTC/XMP profiles', { error: redactPaths(error.message) });
+    return {};
+  } finally {
+    await Promise.all(targets.map(target => fs.rm(target.path, { force: true })));
+  }
+};
+
+/**
+ * Get full image metadata without transforming the image
+ * IPTC and XMP come from the decoded profiles, falling back to the
+ * properties ImageMagick reports in those namespaces.
+ * @param {string} inputPath - Path to image file
+ * @returns {Promise<Object>} Format, geometry, frames, colorspace, depth, alpha,
+ *   resolution, ICC profile, orientation and EXIF/IPTC/XMP metadata
+ */
+const getImageInfo = async (inputPath) => {
+  const { stdout } = await executeCommand(['identify', '-format', INFO_FORMAT, inputPath], { operation: 'info' });
+  const frames = stdout.split('\n').filter(line => line.trim() !== '');
+
+  if (frames.length === 0) {
+    throw new Error('ImageMagick could not identify the image');
+  }
+
+  const [format, width, height, depth, colorspace, alpha, resX, resY, units, orientation, ...icc] = frames[0].split('|');
+
+  // Full property/profile dump of the first frame
+  let details = {};
+  try {
+    const { stdout: json } = await executeCommand([`${inputPath}[0]`, 'json:-'], { operation: 'info' });
+    const parsed = JSON.parse(json);
+    details = (Array.isArray(parsed) ? parsed[0] : parsed).image || {};
+  } catch (error) {
+    logger.warn('Could not read image properties', { error: redactPaths(error.message) });
+  }
+
+  const profiles = Object.fromEntries(Object.entries(details.profiles || {})
+    .map(([name, profile]) => [name, { length: profile && profile.length }]));
+  const groups = groupProperties(details.properties);
+  const decoded = await readMetadataProfiles(inputPath, Object.keys(profiles).map(name => name.toLowerCase()));
+
+  return {
+    format: format.toLowerCase(),
+    width: Number(width),
+    height: Number(height),
+    frames: frames.length,
+    colorspace,
+    depth: Number(depth),
+    alpha: !['false', 'undefined', ''].includes(alpha.toLowerCase()),
+    resolution: {
+      x: Number(resX),
+      y: Number(resY),
+      units
+    },
+    iccProfile: icc.join('|') || null,
+    orientation,
+    profiles,
+    ...groups,
+    iptc: decoded.iptc || groups.iptc,
+    xmp: decoded.xmp || groups.xmp
+  };
+};
+
+/**
+ * Terminal dithering effect (as specified)
  * @param {string} inputPath - Path to input image
  * @param {string} outputPath - Path to output image
+ */
+const terminalDither = async (inputPath, outputPath) => {
+  await transformImage(inputPath, outputPath, [
+    '-contrast-stretch', '0x10%',
+    '-sharpen', '0x1',
+    '-dither', 'FloydSteinberg',
+    '-remap', 'pattern:gray50',
+    '-depth', '1',
+    '-strip'
+  ], 'png', 'terminal');
+};
+
+/**
+ * Build resize operator
  * @param {number|null} width - Target width (null to auto-calculate)
  * @param {number|null} height - Target height (null to auto-calculate)
- * @param {string} format - Output format
+ * @param {Object} options - Optional resize behavior
+ * @param {string} options.fit - fill (exact, may distort), inside, outside, cover (fill then crop) or contain (letterbox)
+ * @param {string} options.gravity - Anchor for cover/contain (default: center)
+ * @param {boolean} options.withoutEnlargement - Never upscale
+ * @param {boolean} options.extend - Pad a smaller result to width x height (needs both)
+ * @param {string|null} options.filter - Resampling filter (Lanczos, Mitchell, Point, ...)
+ * @param {string} options.background - Letterbox color for contain and extend
+ * @returns {string[]} ImageMagick operator arguments
  */
-const resizeImage = async (inputPath, outputPath, width, height, format) => {
-  let geometry;
+const resizeOperator = (width, height, options = {}) => {
+  const {
+    fit = width && height ? 'fill' : 'inside',
+    gravity = 'center',
+    withoutEnlargement = false,
+    extend = false,
+    filter = null,
+    background = 'white'
+  } = options;
 
-  if (width && height) {
-    // Both specified - force exact dimensions
-    geometry = `${width}x${height}!`;
-  } else if (width) {
-    // Only width - preserve aspect ratio
-    geometry = `${width}x`;
-  } else if (height) {
-    // Only height - preserve aspect ratio
-    geometry = `x${height}`;
-  } else {
+  if (!width && !height) {
     throw new Error('At least width or height must be specified');
   }
 
-  const command = `magick "${inputPath}" -resize ${geometry} "${format}:${outputPath}"`;
-  await executeCommand(command);
+  const args = filter ? ['-filter', filter] : [];
+  const shrinkOnly = withoutEnlargement ? '>' : '';
+
+  if (!width || !height) {
+    // Only one dimension - preserve aspect ratio
+    const geometry = width ? `${width}x` : `x${height}`;
+    return [...args, '-resize', `${geometry}${shrinkOnly}`];
+  }
+
+  const size = `${width}x${height}`;
+  const pad = ['-background', background, '-gravity', gravity, '-extent', size, '+gravity'];
+
+  switch (fit) {
+    case 'fill':
+      // Force exact dimensions
+      return [...args, '-resize', `${size}!${shrinkOnly}`, ...(extend ? pad : [])];
+    case 'inside':
+      // Fit within the box, preserving aspect ratio
+      return [...args, '-resize', `${size}${shrinkOnly}`, ...(extend ? pad : [])];
+    case 'outside':
+      // Cover the box, preserving aspect ratio (extend does not apply, the result is at least the box)
+      return [...args, '-resize', `${size}^${shrinkOnly}`];
+    case 'cover':
+      // Cover the box, then crop the overflow around the gravity anchor
+      return [...args, '-resize', `${size}^${shrinkOnly}`, '-gravity', gravity, '-crop', `${size}+0+0`, '+repage', '+gravity', ...(extend ? pad : [])];
+    case 'contain':
+      // Fit within the box, then pad to the exact size
+      return [...args, '-resize', `${size}${shrinkOnly}`, ...pad];
+    default:
+      throw new Error(`Unsupported fit: ${fit}`);
+  }
+};
+
+/**
+ * Build quality operator for lossy formats
+ * @param {string} format - Target format
+ * @param {number|null} quality - Quality (1-100)
+ * @returns {string[]} ImageMagick operator arguments (empty if not applicable)
+ */
+const qualityOperator = (format, quality) => {
+  if (quality !== null && hasFeature(format, 'lossy')) {
+    return ['-quality', String(quality)];
+  }
+  return [];
+};
+
+/**
+ * Build encoder effort operator for AVIF, HEIC and JPEG XL
+ * libheif takes a speed (0 = slowest), libjxl an effort (9 = slowest).
+ * @param {string} format - Target format
+ * @param {number|null} effort - Effort (1 = fastest, 9 = smallest files)
+ * @returns {string[]} ImageMagick operator arguments (empty if not applicable)
+ */
+const effortOperator = (format, effort) => {
+  if (effort === null || effort === undefined || !hasFeature(format, 'effort')) {
+    return [];
+  }
+  return normalizeFormat(format) === 'jxl'
+    ? ['-define', `jxl:effort=${effort}`]
+    : ['-define', `heic:speed=${9 - effort}`];
+};
+
+/**
+ * Build rotate operator
+ * @param {number} degrees - Rotation angle (90, 180, 270)
+ * @returns {string[]} ImageMagick operator arguments
+ */
+const rotateOperator = (degrees) => ['-rotate', String(degrees)];
+
+/**
+ * Build flip operator
+ * @param {string} direction - 'horizontal' or 'vertical'
+ * @returns {string[]} ImageMagick operator arguments
+ */
+const flipOperator = (direction) => [direction === 'horizontal' ? '-flop' : '-flip'];
+
+/**
+ * Build crop operator
+ * @param {number} width - Crop width
+ * @param {number} height - Crop height
+ * @param {number} x - X offset
+ * @param {number} y - Y offset
+ * @returns {string[]} ImageMagick operator arguments
+ */
+const cropOperator = (width, height, x, y) => ['-crop', `${width}x${height}+${x}+${y}`, '+repage'];
+
+/**
+ * Build auto-trim operator
+ * @returns {string[]} ImageMagick operator arguments
+ */
+const trimOperator = () => ['-trim', '+repage'];
+
+/**
+ * Build optimize operator
+ * Metadata is stripped. Quality applies to lossy formats only, palette
+ * reduction to lossless ones (PNG, GIF, ...). PNG is written with the
+ * adaptive filter and zlib level 9 unless compressionLevel is given.
+ * @param {string} format - Output format
+ * @param {Object} options - quality, colors (2-256), compressionLevel (0-9), all optional
+ * @returns {string[]} ImageMagick operator arguments
+ */
+const optimizeOperator = (format, { quality = null, colors = null, compressionLevel = null } = {}) => {
+  const operators = ['-strip', ...qualityOperator(format, quality)];
+
+  if (colors !== null && !hasFeature(format, 'lossy')) {
+    // Dithering adds noise that compresses badly
+    operators.push('+dither', '-colors', String(colors));
+  }
+  if (format === 'png') {
+    operators.push(
+      '-define', `png:compression-level=${compressionLevel === null ? 9 : compressionLevel}`,
+      '-define', 'png:compression-filter=5'
+    );
+  }
+  return operators;
+};
+
+/**
+ * Resize image
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path to output image
+ * @param {number|null} width - Target width (null to auto-calculate)
+ * @param {number|null} height - Target height (null to auto-calculate)
+ * @param {string} format - Output format
+ * @param {Object} options - Fit, gravity, withoutEnlargement, filter, background (see resizeOperator)
+ */
+const resizeImage = async (inputPath, outputPath, width, height, format, options = {}) => {
+  await transformImage(inputPath, outputPath, resizeOperator(width, height, options), format, 'resize');
 };
 
 /**
@@ -86,16 +653,10 @@ const resizeImage = async (inputPath, outputPath, width, height, format) => {
  * @param {string} outputPath - Path to output image
  * @param {string} format - Target format (png, jpg, webp, etc.)
  * @param {number|null} quality - Quality for lossy formats (1-100)
+ * @param {number|null} effort - Encoder effort for AVIF, HEIC and JPEG XL (1-9)
  */
-const convertFormat = async (inputPath, outputPath, format, quality = null) => {
-  let command = `magick "${inputPath}"`;
-
-  if (quality !== null && (format === 'jpg' || format === 'jpeg' || format === 'webp')) {
-    command += ` -quality ${quality}`;
-  }
-
-  command += ` "${format}:${outputPath}"`;
-  await executeCommand(command);
+const convertFormat = async (inputPath, outputPath, format, quality = null, effort = null) => {
+  await transformImage(inputPath, outputPath, [...qualityOperator(format, quality), ...effortOperator(format, effort)], format, 'convert');
 };
 
 /**
@@ -106,8 +667,7 @@ const convertFormat = async (inputPath, outputPath, format, quality = null) => {
  * @param {string} format - Output format
  */
 const rotateImage = async (inputPath, outputPath, degrees, format) => {
-  const command = `magick "${inputPath}" -rotate ${degrees} "${format}:${outputPath}"`;
-  await executeCommand(command);
+  await transformImage(inputPath, outputPath, rotateOperator(degrees), format, 'rotate');
 };
 
 /**
@@ -118,9 +678,7 @@ const rotateImage = async (inputPath, outputPath, degrees, format) => {
  * @param {string} format - Output format
  */
 const flipImage = async (inputPath, outputPath, direction, format) => {
-  const operation = direction === 'horizontal' ? '-flop' : '-flip';
-  const command = `magick "${inputPath}" ${operation} "${format}:${outputPath}"`;
-  await executeCommand(command);
+  await transformImage(inputPath, outputPath, flipOperator(direction), format, 'rotate');
 };
 
 /**
@@ -134,36 +692,394 @@ const flipImage = async (inputPath, outputPath, direction, format) => {
  * @param {string} format - Output format
  */
 const cropImage = async (inputPath, outputPath, width, height, x, y, format) => {
-  const command = `magick "${inputPath}" -crop ${width}x${height}+${x}+${y} +repage "${format}:${outputPath}"`;
-  await executeCommand(command);
+  await transformImage(inputPath, outputPath, cropOperator(width, height, x, y), format, 'crop');
 };
 
 /**
  * Auto-trim transparent/white borders
+ * Animations are cropped to the common bounds of all frames so frames stay aligned.
  * @param {string} inputPath - Path to input image
  * @param {string} outputPath - Path to output image
  * @param {string} format - Output format
  */
 const trimImage = async (inputPath, outputPath, format) => {
-  const command = `magick "${inputPath}" -trim +repage "${format}:${outputPath}"`;
-  await executeCommand(command);
+  const frames = await getFrameCount(inputPath);
+  const operators = frames > 1 && hasFeature(format, 'multiFrame')
+    ? ['-crop', await getTrimBounds(inputPath), '+repage']
+    : trimOperator();
+  await transformImage(inputPath, outputPath, operators, format, 'crop', frames);
 };
 
 /**
  * Optimize image quality/size
  * @param {string} inputPath - Path to input image
  * @param {string} outputPath - Path to output image
- * @param {number} quality - Quality percentage (1-100)
+ * @param {Object} options - quality, colors, compressionLevel (see optimizeOperator) and width to scale down to
+ * @param {string} format - Output format
+ * @param {number|null} frames - Known frame count (detected if null)
+ */
+const optimizeImage = async (inputPath, outputPath, options, format, frames = null) => {
+  const operators = [
+    ...(options.width ? resizeOperator(options.width, null) : []),
+    ...optimizeOperator(format, options)
+  ];
+  await transformImage(inputPath, outputPath, operators, format, 'optimize', frames);
+};
+
+/**
+ * Run a chain of validated pipeline steps in a single magick invocation
+ * The size after every step is printed by the same command (-print).
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path to output image
+ * @param {Object[]} steps - Normalized steps (see utils/pipeline.js)
+ * @param {string} format - Output format
+ * @returns {Promise<{width: number, height: number}[]>} Image size after each step
+ */
+const pipelineImage = async (inputPath, outputPath, steps, format) => {
+  const frames = await getFrameCount(inputPath);
+  const animated = frames > 1 && hasFeature(format, 'multiFrame');
+
+  // Frames of an animation must share one trim box, which is only known for the original input
+  let trimBounds = null;
+  if (animated && steps.some(step => step.op === 'crop' && step.mode === 'trim')) {
+    if (steps.findIndex(step => step.op === 'crop' && step.mode === 'trim') !== 0) {
+      throw new Error('For animated images, a trim step must be the first step of the pipeline');
+    }
+    trimBounds = await getTrimBounds(inputPath);
+  }
+
+  const stepOperators = (step) => {
+    switch (step.op) {
+      case 'resize':
+        return resizeOperator(step.width, step.height, step);
+      case 'crop':
+        if (step.mode === 'trim') {
+          return trimBounds ? ['-crop', trimBounds, '+repage'] : trimOperator();
+        }
+        return cropOperator(step.width, step.height, step.x, step.y);
+      case 'rotate':
+        return step.operation === 'flip'
+          ? flipOperator(step.value)
+          : rotateOperator(step.value);
+      case 'convert':
+        return [...qualityOperator(step.format, step.quality), ...effortOperator(step.format, step.effort)];
+      case 'optimize':
+        return optimizeOperator(format, step);
+      default:
+        throw new Error(`Unsupported pipeline operation: ${step.op}`);
+    }
+  };
+
+  const operators = steps.flatMap(step => [...stepOperators(step), '-print', '%w %h\\n']);
+  const { stdout } = await transformImage(inputPath, outputPath, operators, format, 'pipeline', frames);
+
+  // -print is a list operator: one line per step, with the size of the first frame
+  const lines = stdout.split('\n');
+  return steps.map((step, index) => {
+    const [width, height] = (lines[index] || '').trim().split(/\s+/).map(value => parseInt(value, 10));
+    return { width: width || null, height: height || null };
+  });
+};
+
+/**
+ * Generate several resized/converted variants in a single magick invocation
+ * @param {string} inputPath - Path to input image
+ * @param {{width: number, format: string, outputPath: string}[]} variants - Variants to write
+ * @param {number|null} quality - Quality for lossy formats (1-100)
+ */
+const responsiveImageSet = async (inputPath, variants, quality = null) => {
+  const frames = await getFrameCount(inputPath);
+
+  const groups = variants.flatMap(({ width, format, outputPath }) => [
+    // Animations keep all frames where the format allows it
+    '(', '-clone', frames > 1 && hasFeature(format, 'multiFrame') ? '0--1' : '0',
+    ...resizeOperator(width, null),
+    ...qualityOperator(format, quality),
+    ...finishArgs(format, frames),
+    '-write', `${format}:${outputPath}`,
+    '-delete', '0--1', ')'
+  ]);
+
+  // Settings such as -quality stay inside their parentheses
+  await executeCommand([
+    '-respect-parentheses',
+    inputPath,
+    ...(frames > 1 ? ['-coalesce'] : []),
+    ...groups,
+    'null:'
+  ], { operation: 'srcset' });
+};
+
+/**
+ * Composite an overlay (e.g. a watermark) onto a base image
+ * @param {string} inputPath - Path to base image
+ * @param {string} overlayPath - Path to overlay image
+ * @param {string} outputPath - Path to output image
+ * @param {Object} options - Placement options
+ * @param {string} options.gravity - Placement anchor
+ * @param {number} options.x - Horizontal offset from the anchor
+ * @param {number} options.y - Vertical offset from the anchor
+ * @param {number} options.opacity - Overlay opacity (0-100)
+ * @param {number|null} options.overlayWidth - Width to scale the overlay to (null keeps its size)
+ * @param {boolean} options.tile - Repeat the overlay over the whole base image
+ * @param {string} options.blend - Compose method (Over, Multiply, Screen, ...)
+ * @param {{width: number, height: number}} options.baseSize - Base image dimensions (needed for tile)
+ * @param {string} format - Output format
+ */
+const compositeImage = async (inputPath, overlayPath, outputPath, options, format) => {
+  const { gravity, x, y, opacity, overlayWidth, tile, blend, baseSize } = options;
+
+  const overlayArgs = [
+    overlayPath,
+    ...(overlayWidth ? resizeOperator(overlayWidth, null) : []),
+    ...(opacity < 100 ? ['-alpha', 'set', '-channel', 'A', '-evaluate', 'multiply', String(opacity / 100), '+channel'] : [])
+  ];
+
+  const frames = await getFrameCount(inputPath);
+  const animated = frames > 1 && hasFeature(format, 'multiFrame');
+
+  // Animations need -layers composite with a null: separator to apply the overlay to every frame
+  const layerArgs = tile
+    ? [
+      '(', ...overlayArgs, '-write', 'mpr:overlay', '+delete', ')',
+      ...(animated ? ['null:'] : []),
+      '-size', `${baseSize.width}x${baseSize.height}`, 'tile:mpr:overlay'
+    ]
+    : [
+      ...(animated ? ['null:'] : []),
+      '(', ...overlayArgs, ')', '-gravity', gravity, '-geometry', `+${x}+${y}`
+    ];
+
+  await transformImage(inputPath, outputPath, [
+    ...layerArgs,
+    '-compose', blend,
+    ...(animated ? ['-layers', 'composite'] : ['-composite'])
+  ], format, 'composite', frames);
+};
+
+// Font list never changes while the server runs
+let fontCache = null;
+
+/**
+ * List fonts known to ImageMagick (via fontconfig)
+ * @returns {Promise<{name: string, family: string, style: string, weight: string}[]>}
+ */
+const listFonts = async () => {
+  if (fontCache) {
+    return fontCache;
+  }
+
+  const { stdout } = await executeCommand(['-list', 'font'], { operation: 'fonts' });
+  const fonts = [];
+  let current = null;
+
+  stdout.split('\n').forEach((line) => {
+    const match = line.match(/^\s*(Font|family|style|weight):\s*(.*)$/);
+    if (!match) return;
+
+    const [, key, value] = match;
+    if (key === 'Font') {
+      current = { name: value.trim(), family: null, style: null, weight: null };
+      fonts.push(current);
+    } else if (current) {
+      current[key] = value.trim();
+    }
+  });
+
+  fontCache = fonts;
+  return fonts;
+};
+
+/**
+ * Escape text for -annotate so it is drawn literally
+ * (no %-escapes, no @file reads, no backslash sequences)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeAnnotateText = (text) => {
+  const escaped = text.replace(/\\/g, '\\\\').replace(/%/g, '%%');
+  return escaped.startsWith('@') ? `\\${escaped}` : escaped;
+};
+
+/**
+ * Draw text onto an image
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path to output image
+ * @param {Object} options - Text options
+ * @param {string} options.text - Text to draw (drawn literally)
+ * @param {{font?: string, family?: string}} options.typeface - Font name or family
+ * @param {number} options.pointsize - Font size in points
+ * @param {string} options.fill - Text color
+ * @param {string|null} options.stroke - Outline color
+ * @param {number} options.strokeWidth - Outline width
+ * @param {string} options.gravity - Placement anchor
+ * @param {number} options.x - Horizontal offset from the anchor
+ * @param {number} options.y - Vertical offset from the anchor
+ * @param {number} options.angle - Rotation in degrees
+ * @param {string|null} options.box - Background box color behind the text
+ * @param {string} format - Output format
+ */
+const annotateImage = async (inputPath, outputPath, options, format) => {
+  const { text, typeface, pointsize, fill, stroke, strokeWidth, gravity, x, y, angle, box } = options;
+  const sign = value => (value < 0 ? `${value}` : `+${value}`);
+
+  await transformImage(inputPath, outputPath, [
+    ...(typeface.font ? ['-font', typeface.font] : []),
+    ...(typeface.family ? ['-family', typeface.family] : []),
+    '-pointsize', String(pointsize),
+    '-fill', fill,
+    ...(stroke ? ['-stroke', stroke, '-strokewidth', String(strokeWidth)] : []),
+    ...(box ? ['-undercolor', box] : []),
+    '-gravity', gravity,
+    '-annotate', `${angle}x${angle}${sign(x)}${sign(y)}`, escapeAnnotateText(text)
+  ], format, 'annotate');
+};
+
+/**
+ * Extract a single frame of an animation
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path to output image
+ * @param {number} index - Zero-based frame index
+ * @param {string} format - Output format
+ */
+const extractFrame = async (inputPath, outputPath, index, format) => {
+  // Clone the wanted (coalesced) frame to the end, then drop everything else
+  await executeCommand([
+    inputPath, '-coalesce',
+    '(', '-clone', String(index), ')',
+    '-delete', '0--2',
+    `${format}:${outputPath}`
+  ], { operation: 'frames' });
+};
+
+/**
+ * Extract all frames of an animation into separate files
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPattern - Output path containing %d for the frame index
+ * @param {string} format - Output format
+ */
+const extractAllFrames = async (inputPath, outputPattern, format) => {
+  await executeCommand([inputPath, '-coalesce', '+adjoin', `${format}:${outputPattern}`], { operation: 'frames' });
+};
+
+/**
+ * Assemble an animation from single frames
+ * @param {string[]} framePaths - Paths to frame images, in order
+ * @param {string} outputPath - Path to output animation
+ * @param {number} delay - Delay between frames in milliseconds
+ * @param {number} loop - Loop count (0 = infinite)
+ * @param {string} format - Output format (gif or webp)
+ */
+const assembleAnimation = async (framePaths, outputPath, delay, loop, format) => {
+  await executeCommand([
+    // ImageMagick delays are in ticks of 1/100 s
+    '-delay', String(Math.max(1, Math.round(delay / 10))),
+    ...framePaths,
+    '-loop', String(loop),
+    ...finishArgs(format, framePaths.length),
+    `${format}:${outputPath}`
+  ], { operation: 'frames' });
+};
+
+/**
+ * Build input arguments for selected pages of a document
+ * @param {string} inputPath - Path to document (PDF, multi-page TIFF, ...)
+ * @param {number[]} pages - Zero-based page indexes
+ * @param {number} density - Rasterization density in DPI
+ * @returns {string[]} ImageMagick arguments
+ */
+const documentSource = (inputPath, pages, density) => [
+  // Density must be set before the document is read
+  '-density', String(density),
+  `${inputPath}[${pages.join(',')}]`
+];
+
+/**
+ * Build operator that flattens transparency onto a background color
+ * @param {string} background - Background color
+ * @returns {string[]} ImageMagick operator arguments
+ */
+const flattenOperator = (background) => ['-background', background, '-alpha', 'remove', '-alpha', 'off'];
+
+/**
+ * Rasterize document pages into one image per page
+ * @param {string} inputPath - Path to document
+ * @param {number[]} pages - Zero-based page indexes
+ * @param {string[]} outputPaths - Output path per page, same order as pages
+ * @param {string} format - Output format
+ * @param {Object} options - Rasterization options
+ * @param {number} options.density - Density in DPI
+ * @param {string} options.background - Background color for transparent areas
+ * @param {number|null} options.quality - Quality for lossy formats
+ */
+const rasterizePages = async (inputPath, pages, outputPaths, format, { density, background, quality }) => {
+  const groups = outputPaths.flatMap((outputPath, index) => [
+    '(', '-clone', String(index),
+    ...qualityOperator(format, quality),
+    '-write', `${format}:${outputPath}`,
+    '-delete', '0--1', ')'
+  ]);
+
+  await executeCommand([
+    '-respect-parentheses',
+    ...documentSource(inputPath, pages, density),
+    ...flattenOperator(background),
+    ...groups,
+    'null:'
+  ], { operation: 'rasterize' });
+};
+
+/**
+ * Rasterize document pages into one vertical strip
+ * @param {string} inputPath - Path to document
+ * @param {number[]} pages - Zero-based page indexes
+ * @param {string} outputPath - Path to output image
+ * @param {string} format - Output format
+ * @param {Object} options - Rasterization options (density, background, quality)
+ */
+const rasterizeStrip = async (inputPath, pages, outputPath, format, { density, background, quality }) => {
+  await executeCommand([
+    ...documentSource(inputPath, pages, density),
+    ...flattenOperator(background),
+    '-append',
+    ...qualityOperator(format, quality),
+    `${format}:${outputPath}`
+  ], { operation: 'rasterize' });
+};
+
+/**
+ * Rasterize document pages into a contact sheet (grid of page thumbnails)
+ * @param {string} inputPath - Path to document
+ * @param {number[]} pages - Zero-based page indexes
+ * @param {string} outputPath - Path to output image
  * @param {string} format - Output format
+ * @param {Object} options - Rasterization options (density, background, quality)
+ * @param {number} options.columns - Thumbnails per row
+ * @param {number} options.tileWidth - Thumbnail width in pixels
  */
-const optimizeImage = async (inputPath, outputPath, quality, format) => {
-  const command = `magick "${inputPath}" -strip -quality ${quality} "${format}:${outputPath}"`;
-  await executeCommand(command);
+const rasterizeContactSheet = async (inputPath, pages, outputPath, format, { density, background, quality, columns, tileWidth }) => {
+  await executeCommand([
+    'montage',
+    ...documentSource(inputPath, pages, density),
+    '-background', background,
+    '-geometry', `${tileWidth}x+10+10`,
+    '-tile', `${columns}x`,
+    ...qualityOperator(format, quality),
+    `${format}:${outputPath}`
+  ], { operation: 'rasterize' });
 };
 
 module.exports = {
   executeCommand,
+  redactPaths,
+  getMagickVersion,
+  listFormats,
+  listMimeTypes,
   getImageDimensions,
+  getImageInfo,
+  getFrameCount,
+  hasAlphaChannel,
+  getFrameSizes,
   terminalDither,
   resizeImage,
   convertFormat,
@@ -171,5 +1087,16 @@ module.exports = {
   flipImage,
   cropImage,
   trimImage,
-  optimizeImage
+  optimizeImage,
+  pipelineImage,
+  responsiveImageSet,
+  compositeImage,
+  listFonts,
+  annotateImage,
+  extractFrame,
+  extractAllFrames,
+  assembleAnimation,
+  rasterizePages,
+  rasterizeStrip,
+  rasterizeContactSheet
 };
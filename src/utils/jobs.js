@@ -0,0 +1,274 @@
+const { AsyncResource } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { saveTempFile, deleteFile } = require('./fileHandler');
+const { parseSteps, resolveOutputFormat, normalizeStep, checkStepSizes, describeSteps } = require('./pipeline');
+const { terminalDither, pipelineImage } = require('./imagemagick');
+const { optimizeFile } = require('./optimize');
+const { checkImageLimits } = require('./limits');
+const { ensureWritableFormat } = require('./negotiation');
+const { runInBackground, getRetryAfter } = require('./queue');
+const logger = require('./logger');
+
+/**
+ * Job Queue Utilities
+ * In-memory store for asynchronous processing jobs
+ *
+ * Jobs wait in their own FIFO queue and at most JOB_CONCURRENCY run at
+ * once. Their magick commands wait for a slot instead of being rejected
+ * when the work queue is full, so an accepted job never fails with 503.
+ * New jobs are rejected once JOB_QUEUE_LENGTH jobs are queued or running,
+ * and only the newest JOB_MAX_FINISHED finished jobs are kept.
+ */
+
+const jobs = new Map();
+const pendingJobs = [];
+const finishedJobs = [];
+let runningJobs = 0;
+
+/**
+ * Get retention time for finished jobs and their results
+ * @returns {number} Retention in milliseconds
+ */
+const getRetention = () => parseInt(process.env.JOB_RETENTION || '3600000', 10);
+
+/**
+ * Get job queue limits from environment
+ * @returns {{concurrency: number, queueLength: number, maxFinished: number}} Running jobs, queued + running jobs and kept finished jobs
+ */
+const getJobLimits = () => ({
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1', 10) || 1),
+  queueLength: Math.max(1, parseInt(process.env.JOB_QUEUE_LENGTH || '100', 10) || 1),
+  maxFinished: Math.max(1, parseInt(process.env.JOB_MAX_FINISHED || '1000', 10) || 1)
+});
+
+/**
+ * Operations that can run as a job.
+ * prepare() validates the parameters synchronously and returns a plan,
+ * run() executes it against the saved input file and may resolve to
+ * metadata that is only known afterwards.
+ */
+const operations = {
+  terminal: {
+    prepare: () => ({ format: 'png', metadata: { effect: 'terminal-dithering' } }),
+    run: (inputPath, outputPath) => terminalDither(inputPath, outputPath)
+  },
+  pipeline: {
+    prepare: (params, inputExt) => {
+      const steps = parseSteps(params.steps, inputExt);
+      return { steps, format: resolveOutputFormat(steps, inputExt), metadata: { steps } };
+    },
+    run: async (inputPath, outputPath, plan) => ({
+      steps: describeSteps(plan.steps, await pipelineImage(inputPath, outputPath, plan.steps, plan.format))
+    })
+  }
+};
+
+// Single-operation routes map onto a one-step pipeline
+['resize', 'crop', 'rotate', 'convert'].forEach((op) => {
+  operations[op] = {
+    prepare: (params, inputExt) => {
+      const steps = parseSteps([{ ...params, op }], inputExt);
+      const { op: _op, ...metadata } = steps[0];
+      return { steps, format: resolveOutputFormat(steps, inputExt), metadata };
+    },
+    run: async (inputPath, outputPath, plan) => {
+      const [{ outputWidth, outputHeight }] = describeSteps(plan.steps, await pipelineImage(inputPath, outputPath, plan.steps, plan.format));
+      return { outputWidth, outputHeight };
+    }
+  };
+});
+
+// Optimize runs on its own: the maxBytes search encodes several times and reports the savings
+operations.optimize = {
+  prepare: (params, inputExt) => ({ options: normalizeStep('optimize', params, inputExt), format: inputExt, metadata: {} }),
+  run: (inputPath, outputPath, plan) => optimizeFile(inputPath, outputPath, plan.format, plan.options)
+};
+
+/**
+ * Public view of a job (no internal paths)
+ * @param {Object} job - Job record
+ * @returns {Object} Serializable job status
+ */
+const serializeJob = (job) => ({
+  id: job.id,
+  operation: job.operation,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  queuedMs: job.startedAt ? Date.parse(job.startedAt) - Date.parse(job.createdAt) : null,
+  durationMs: job.finishedAt && job.startedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+  expiresAt: job.expiresAt,
+  ...(job.status === 'done' && { format: job.format, ...job.metadata }),
+  ...(job.status === 'failed' && { errormessage: job.errormessage })
+});
+
+/**
+ * Remove a finished job and its result
+ * @param {Object} job - Job record
+ */
+const expireJob = (job) => {
+  clearTimeout(job.expiryTimer);
+  jobs.delete(job.id);
+  finishedJobs.splice(finishedJobs.indexOf(job), 1);
+  if (job.status === 'done') {
+    deleteFile(job.outputPath);
+  }
+};
+
+/**
+ * Schedule removal of a finished job and its files
+ * The oldest finished jobs are removed early when more than JOB_MAX_FINISHED are kept.
+ * @param {Object} job - Job record
+ */
+const scheduleExpiry = (job) => {
+  const retention = getRetention();
+  job.expiresAt = new Date(Date.now() + retention).toISOString();
+
+  job.expiryTimer = setTimeout(() => expireJob(job), retention);
+  job.expiryTimer.unref();
+
+  deleteFile(job.inputPath);
+  if (job.status !== 'done') {
+    // A failed job may have left a partial result
+    deleteFile(job.outputPath);
+  }
+
+  finishedJobs.push(job);
+  while (finishedJobs.length > getJobLimits().maxFinished) {
+    expireJob(finishedJobs[0]);
+  }
+};
+
+/**
+ * Execute a queued job
+ * @param {Object} job - Job record
+ */
+const runJob = async (job) => {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    const metadata = await operations[job.operation].run(job.inputPath, job.outputPath, job.plan);
+    job.metadata = { ...job.metadata, ...metadata };
+    job.status = 'done';
+  } catch (error) {
+    logger.warn('Job failed', { jobId: job.id, operation: job.operation, error: error.message });
+    job.status = 'failed';
+    job.errormessage = error.message;
+  }
+
+  job.finishedAt = new Date().toISOString();
+  scheduleExpiry(job);
+};
+
+/**
+ * Start queued jobs while fewer than JOB_CONCURRENCY are running
+ */
+const startJobs = () => {
+  while (pendingJobs.length > 0 && runningJobs < getJobLimits().concurrency) {
+    const start = pendingJobs.shift();
+    runningJobs += 1;
+
+    start().finally(() => {
+      runningJobs -= 1;
+      startJobs();
+    });
+  }
+};
+
+/**
+ * Reject new jobs while the job queue is full
+ * @throws {Error} 503 with retryAfter if JOB_QUEUE_LENGTH jobs are queued or running
+ */
+const checkJobCapacity = () => {
+  if (pendingJobs.length + runningJobs >= getJobLimits().queueLength) {
+    const error = new Error('Too many jobs are queued, please retry later.');
+    error.statusCode = 503;
+    error.retryAfter = getRetryAfter();
+    throw error;
+  }
+};
+
+/**
+ * Validate parameters and enqueue a new job
+ * @param {string} operation - Operation name (terminal, resize, crop, rotate, convert, optimize, pipeline)
+ * @param {Object} params - Operation parameters
+ * @param {Buffer} buffer - Input image buffer
+ * @param {string} inputExt - Input file extension
+ * @returns {Promise<Object>} Serialized job
+ * @throws {Error} If the operation or its parameters are invalid, or the image exceeds the size limits (503 if the job queue is full)
+ */
+const createJob = async (operation, params, buffer, inputExt) => {
+  const op = String(operation).toLowerCase();
+  if (!operations[op]) {
+    throw new Error(`Invalid operation. Supported operations: ${Object.keys(operations).join(', ')}`);
+  }
+  checkJobCapacity();
+
+  // Validate before anything is written to disk
+  const plan = operations[op].prepare(params, inputExt);
+
+  const inputPath = await saveTempFile(buffer, inputExt);
+
+  // Oversized images are rejected up front instead of failing in the queue.
+  // A kept input format that cannot be written falls back to JPEG/PNG/GIF.
+  try {
+    const frameSizes = await checkImageLimits(inputPath);
+    if (plan.steps) {
+      checkStepSizes(plan.steps, frameSizes[0]);
+    }
+    plan.format = await ensureWritableFormat(inputPath, plan.format, frameSizes.length);
+    // Other jobs may have been accepted in the meantime
+    checkJobCapacity();
+  } catch (error) {
+    await deleteFile(inputPath);
+    throw error;
+  }
+
+  const job = {
+    id: uuidv4(),
+    operation: op,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    plan,
+    format: plan.format,
+    metadata: plan.metadata,
+    inputPath,
+    outputPath: inputPath.replace(/\.[^.]+$/, `_job.${plan.format}`)
+  };
+
+  jobs.set(job.id, job);
+
+  // Bound to this request, so the job's log lines carry its request id
+  pendingJobs.push(AsyncResource.bind(() => runInBackground(() => runJob(job))));
+  setImmediate(startJobs);
+
+  return serializeJob(job);
+};
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {Object} Job record
+ * @throws {Error} 404 if the job does not exist or has expired
+ */
+const getJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    const error = new Error(`Job ${id} not found or expired`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return job;
+};
+
+module.exports = {
+  JOB_OPERATIONS: Object.keys(operations),
+  createJob,
+  getJob,
+  serializeJob
+};
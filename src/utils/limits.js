@@ -0,0 +1,100 @@
+const { getFrameSizes } = require('./imagemagick');
+
+/**
+ * Image Limit Utilities
+ * Decompression bomb protection: dimensions, pixel count and frame count
+ * are read from the file header (identify -ping) and checked before any
+ * pixel data is decoded. Requested output sizes are checked the same way.
+ *
+ * A limit of 0 disables the check.
+ */
+
+/**
+ * Create error with HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Read configured limits from environment
+ * @returns {{maxPixels: number, maxWidth: number, maxHeight: number, maxFrames: number}}
+ */
+const getLimits = () => ({
+  maxPixels: parseInt(process.env.MAX_PIXELS || '100000000', 10),
+  maxWidth: parseInt(process.env.MAX_WIDTH || '20000', 10),
+  maxHeight: parseInt(process.env.MAX_HEIGHT || '20000', 10),
+  maxFrames: parseInt(process.env.MAX_FRAMES || '1000', 10)
+});
+
+/**
+ * Check a single size against the dimension and pixel limits
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} limits - Limits from getLimits()
+ * @returns {string|null} Reason the size is rejected, or null if it is allowed
+ */
+const checkSize = (width, height, limits) => {
+  if (limits.maxWidth > 0 && width > limits.maxWidth) {
+    return `width ${width}px exceeds the maximum of ${limits.maxWidth}px`;
+  }
+  if (limits.maxHeight > 0 && height > limits.maxHeight) {
+    return `height ${height}px exceeds the maximum of ${limits.maxHeight}px`;
+  }
+  if (limits.maxPixels > 0 && width * height > limits.maxPixels) {
+    return `${width}x${height} (${width * height} pixels) exceeds the maximum of ${limits.maxPixels} pixels`;
+  }
+  return null;
+};
+
+/**
+ * Check an input image against the configured limits without decoding it
+ * @param {string} inputPath - Path to image file
+ * @param {Object} options - Optional settings
+ * @param {number} options.density - Rasterization density for vector input (e.g. PDF) in DPI
+ * @param {string} options.label - Name of the image in error messages (default: 'Image')
+ * @returns {Promise<{width: number, height: number}[]>} Size per frame
+ * @throws {Error} 413 if the image exceeds a limit
+ */
+const checkImageLimits = async (inputPath, options = {}) => {
+  const limits = getLimits();
+  const label = options.label || 'Image';
+  const sizes = await getFrameSizes(inputPath, options.density || null);
+
+  if (limits.maxFrames > 0 && sizes.length > limits.maxFrames) {
+    throw httpError(`${label} too large: ${sizes.length} frames exceed the maximum of ${limits.maxFrames} frames`, 413);
+  }
+
+  for (const { width, height } of sizes) {
+    const reason = checkSize(width, height, limits);
+    if (reason) {
+      throw httpError(`${label} too large: ${reason}`, 413);
+    }
+  }
+
+  return sizes;
+};
+
+/**
+ * Check a requested output size against the configured limits
+ * @param {number|null} width - Requested width in pixels
+ * @param {number|null} height - Requested height in pixels
+ * @throws {Error} 422 if the output would exceed a limit
+ */
+const checkOutputSize = (width, height) => {
+  const reason = checkSize(width || 0, height || 0, getLimits());
+  if (reason) {
+    throw httpError(`Requested output size too large: ${reason}`, 422);
+  }
+};
+
+module.exports = {
+  getLimits,
+  checkImageLimits,
+  checkOutputSize
+};
@@ -0,0 +1,104 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logger Utilities
+ * Leveled logger with text or JSON output (one object per line)
+ *
+ * The id of the request being handled is kept in async local storage and
+ * added to every log line, including lines written deep inside the
+ * ImageMagick wrapper, so all output of a request can be correlated.
+ *
+ * Configuration:
+ *   - LOG_FORMAT: text (default) or json
+ *   - LOG_LEVEL: debug, info (default), warn or error
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Get the configured log format and level
+ * @returns {{format: string, level: string}} Log configuration
+ * @throws {Error} If LOG_FORMAT or LOG_LEVEL is invalid
+ */
+const getLogConfig = () => {
+  const format = (process.env.LOG_FORMAT || 'text').toLowerCase();
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid LOG_FORMAT "${format}". Supported values: ${FORMATS.join(', ')}`);
+  }
+  if (!LEVELS[level]) {
+    throw new Error(`Invalid LOG_LEVEL "${level}". Supported values: ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  return { format, level };
+};
+
+/**
+ * Run a function with a request id bound to everything it calls
+ * @param {string} requestId - Request id
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+/**
+ * Get the id of the request currently being handled
+ * @returns {string|undefined} Request id, undefined outside of requests
+ */
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Format a field value for text output
+ * @param {*} value - Field value
+ * @returns {string} Value, quoted if it contains whitespace or quotes
+ */
+const formatTextValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+};
+
+/**
+ * Write a log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - Message
+ * @param {Object} fields - Additional fields (undefined values are left out)
+ */
+const log = (level, message, fields = {}) => {
+  const config = getLogConfig();
+  if (LEVELS[level] < LEVELS[config.level]) {
+    return;
+  }
+
+  const entry = { requestId: getRequestId(), ...fields };
+  Object.keys(entry).forEach((key) => {
+    if (entry[key] === undefined) delete entry[key];
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const time = new Date().toISOString();
+
+  if (config.format === 'json') {
+    stream.write(`${JSON.stringify({ time, level, msg: message, ...entry })}\n`);
+    return;
+  }
+
+  // Text format: [2026-10-19 10:47:15] INFO message key=value ... (stack traces on the following lines)
+  const { stack, ...rest } = entry;
+  const timestamp = time.replace('T', ' ').substring(0, 19);
+  const details = Object.entries(rest).map(([key, value]) => ` ${key}=${formatTextValue(value)}`).join('');
+  stream.write(`[${timestamp}] ${level.toUpperCase()} ${message}${details}\n${stack ? `${stack}\n` : ''}`);
+};
+
+module.exports = {
+  getLogConfig,
+  runWithRequestId,
+  getRequestId,
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields)
+};
@@ -0,0 +1,264 @@
+/**
+ * Metadata Utilities
+ * Decode the IPTC and XMP profiles that ImageMagick extracts for /info
+ *
+ * ImageMagick only reports the size of these profiles, so their raw bytes are
+ * written out with the iptc: and xmp: coders and parsed here.
+ */
+
+// IPTC application record (2) datasets, named like the IPTC IIM specification
+const IPTC_DATASETS = {
+  3: 'ObjectTypeReference',
+  4: 'ObjectAttributeReference',
+  5: 'ObjectName',
+  7: 'EditStatus',
+  10: 'Urgency',
+  12: 'SubjectReference',
+  15: 'Category',
+  20: 'SupplementalCategories',
+  22: 'FixtureIdentifier',
+  25: 'Keywords',
+  26: 'ContentLocationCode',
+  27: 'ContentLocationName',
+  30: 'ReleaseDate',
+  35: 'ReleaseTime',
+  37: 'ExpirationDate',
+  38: 'ExpirationTime',
+  40: 'SpecialInstructions',
+  45: 'ReferenceService',
+  47: 'ReferenceDate',
+  50: 'ReferenceNumber',
+  55: 'DateCreated',
+  60: 'TimeCreated',
+  62: 'DigitalCreationDate',
+  63: 'DigitalCreationTime',
+  65: 'OriginatingProgram',
+  70: 'ProgramVersion',
+  75: 'ObjectCycle',
+  80: 'By-line',
+  85: 'By-lineTitle',
+  90: 'City',
+  92: 'Sub-location',
+  95: 'Province-State',
+  100: 'Country-PrimaryLocationCode',
+  101: 'Country-PrimaryLocationName',
+  103: 'OriginalTransmissionReference',
+  105: 'Headline',
+  110: 'Credit',
+  115: 'Source',
+  116: 'CopyrightNotice',
+  118: 'Contact',
+  120: 'Caption-Abstract',
+  122: 'Writer-Editor',
+  130: 'ImageType',
+  131: 'ImageOrientation',
+  135: 'LanguageIdentifier'
+};
+
+// Datasets that may occur several times, always reported as arrays
+const IPTC_REPEATABLE = [4, 12, 20, 25, 26, 27, 80, 85, 118, 122];
+
+// Photoshop image resource that holds the IPTC data
+const PHOTOSHOP_IPTC_RESOURCE = 0x0404;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// One element with its attributes and content; nested elements are part of the content
+const XML_ELEMENT = /<([\w.-]+:[\w.-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+
+// Elements that only structure the packet, their children are the properties
+const XMP_CONTAINERS = ['x:xmpmeta', 'x:xapmeta', 'rdf:RDF', 'rdf:Description'];
+
+/**
+ * Find the IPTC stream in a Photoshop image resource block
+ * @param {Buffer} buffer - Resource block, optionally starting with "Photoshop 3.0"
+ * @returns {Buffer|null} IPTC data, null if the block has none
+ */
+const findPhotoshopIptc = (buffer) => {
+  let offset = buffer.toString('latin1', 0, 14) === 'Photoshop 3.0\0' ? 14 : 0;
+
+  while (offset + 12 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === '8BIM') {
+    const id = buffer.readUInt16BE(offset + 4);
+    // Pascal string name, padded to an even length
+    const nameLength = buffer[offset + 6];
+    const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+    if (sizeOffset + 4 > buffer.length) break;
+
+    const size = buffer.readUInt32BE(sizeOffset);
+    const start = sizeOffset + 4;
+    if (id === PHOTOSHOP_IPTC_RESOURCE) {
+      return buffer.subarray(start, Math.min(start + size, buffer.length));
+    }
+    offset = start + size + (size % 2);
+  }
+
+  return null;
+};
+
+/**
+ * Decode an IPTC text value
+ * @param {Buffer} data - Raw value
+ * @param {boolean} utf8 - True if the envelope declares UTF-8
+ * @returns {string} Decoded value (Latin-1 if the bytes are not valid UTF-8)
+ */
+const decodeIptcValue = (data, utf8) => {
+  const text = data.toString('utf8');
+  if (utf8 || Buffer.from(text, 'utf8').equals(data)) {
+    return text;
+  }
+  return data.toString('latin1');
+};
+
+/**
+ * Parse an IPTC profile into named values
+ * Reads the application record (2), the one holding captions, keywords,
+ * credits and the like. Unknown datasets are keyed "2:<dataset>".
+ * @param {Buffer} buffer - Raw IPTC (IIM) data or a Photoshop resource block containing it
+ * @returns {Object} Dataset name to value (arrays for repeatable datasets)
+ */
+const parseIptc = (buffer) => {
+  const iim = buffer[0] === 0x1c ? buffer : findPhotoshopIptc(buffer);
+  const values = {};
+  if (!iim) {
+    return values;
+  }
+
+  const entries = [];
+  let utf8 = false;
+  let offset = 0;
+
+  while (offset + 5 <= iim.length && iim[offset] === 0x1c) {
+    const record = iim[offset + 1];
+    const dataset = iim[offset + 2];
+    let length = iim.readUInt16BE(offset + 3);
+    let start = offset + 5;
+
+    // Extended dataset: the low bits give the size of the length field
+    if (length & 0x8000) {
+      const lengthSize = length & 0x7fff;
+      if (lengthSize < 1 || lengthSize > 4 || start + lengthSize > iim.length) break;
+      length = iim.readUIntBE(start, lengthSize);
+      start += lengthSize;
+    }
+    if (start + length > iim.length) break;
+
+    const data = iim.subarray(start, start + length);
+    // Coded character set "ESC % G" declares UTF-8
+    if (record === 1 && dataset === 90) {
+      utf8 = data.toString('latin1') === '\x1b%G';
+    } else if (record === 2 && dataset !== 0) {
+      entries.push({ dataset, data });
+    }
+    offset = start + length;
+  }
+
+  for (const { dataset, data } of entries) {
+    const key = IPTC_DATASETS[dataset] || `2:${dataset}`;
+    const value = decodeIptcValue(data, utf8).replace(/\0+$/, '');
+
+    if (IPTC_REPEATABLE.includes(dataset)) {
+      values[key] = [...(values[key] || []), value];
+    } else if (key in values) {
+      values[key] = [].concat(values[key], value);
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Replace XML entity and character references
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+const decodeXml = text => text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+  if (hex) return String.fromCodePoint(parseInt(hex, 16));
+  if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+  return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : match;
+});
+
+/**
+ * Read the properties given as attributes (rdf:Description shorthand)
+ * @param {string} attributes - Attribute list of an element
+ * @returns {Object} Property name to value, without namespace declarations and RDF syntax
+ */
+const readAttributes = (attributes) => {
+  const properties = {};
+  for (const [, name, , value] of attributes.matchAll(/([\w.-]+:[\w.-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    if (!/^(xmlns|rdf|xml):/.test(name)) {
+      properties[name] = decodeXml(value);
+    }
+  }
+  return properties;
+};
+
+/**
+ * Read the value of one XMP property element
+ * @param {string} attributes - Attribute list of the element
+ * @param {string} content - Element content
+ * @returns {string|string[]|Object} Text, list items (rdf:Seq/rdf:Bag), the default
+ *   language (rdf:Alt) or nested properties (structures)
+ */
+const readXmpValue = (attributes, content) => {
+  const items = [...content.matchAll(/<rdf:li\b([^>]*?)(?:\/>|>([\s\S]*?)<\/rdf:li\s*>)/g)]
+    .map(([, itemAttributes, text = '']) => ({ itemAttributes, text }));
+  const itemValue = ({ itemAttributes, text }) => (/</.test(text) || !text.trim()
+    ? readXmpValue(itemAttributes, text)
+    : decodeXml(text.trim()));
+
+  if (/<rdf:Alt\b/.test(content)) {
+    const preferred = items.find(item => /xml:lang\s*=\s*["']x-default["']/.test(item.itemAttributes)) || items[0];
+    return preferred ? itemValue(preferred) : '';
+  }
+  if (/<rdf:(?:Seq|Bag)\b/.test(content)) {
+    return items.map(itemValue);
+  }
+  if (/<[\w.-]+:[\w.-]+/.test(content)) {
+    return parseXmpProperties(content);
+  }
+
+  const resource = attributes.match(/rdf:resource\s*=\s*(["'])([\s\S]*?)\1/);
+  if (resource) {
+    return decodeXml(resource[2]);
+  }
+  const fields = readAttributes(attributes);
+  return Object.keys(fields).length > 0 && !content.trim() ? fields : decodeXml(content.trim());
+};
+
+/**
+ * Collect the properties of an XMP fragment
+ * @param {string} xml - Fragment (packet, rdf:RDF or rdf:Description content)
+ * @returns {Object} Prefixed property name (e.g. "dc:title") to value
+ */
+const parseXmpProperties = (xml) => {
+  let properties = {};
+
+  for (const [, name, attributes, content = ''] of xml.matchAll(XML_ELEMENT)) {
+    if (XMP_CONTAINERS.includes(name)) {
+      properties = { ...properties, ...readAttributes(attributes), ...parseXmpProperties(content) };
+    } else {
+      properties[name] = readXmpValue(attributes, content);
+    }
+  }
+
+  return properties;
+};
+
+/**
+ * Parse an XMP packet into key/value pairs
+ * @param {Buffer|string} packet - XMP packet (XML)
+ * @returns {Object} Prefixed property name (e.g. "dc:creator", "xmp:Rating") to value
+ */
+const parseXmp = (packet) => {
+  const xml = packet.toString('utf8')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+  return parseXmpProperties(xml);
+};
+
+module.exports = {
+  parseIptc,
+  parseXmp
+};
@@ -0,0 +1,191 @@
+const { getQueueStats } = require('./queue');
+const { getTempDirUsage } = require('./fileHandler');
+
+/**
+ * Metrics Utilities
+ * Minimal Prometheus registry (counters, gauges, histograms) and the
+ * metrics the API exposes on GET /metrics in the text exposition format
+ */
+
+const PREFIX = 'imagemagick_api_';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// 1 KB to 100 MB
+const SIZE_BUCKETS = [1024, 10240, 102400, 1048576, 5242880, 10485760, 52428800, 104857600];
+
+const registry = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Format a label set
+ * @param {Array<[string, *]>} pairs - Label name/value pairs
+ * @returns {string} Label block, e.g. {route="/resize",status="200"}, or '' without labels
+ */
+const formatLabels = (pairs) => (pairs.length > 0
+  ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+  : '');
+
+/**
+ * Create storage for one series per label combination
+ * @param {string[]} labelNames - Label names
+ * @param {Function} init - Creates the initial series value
+ * @returns {Function} Returns the series for a label object
+ */
+const createSeries = (labelNames, init) => {
+  const series = new Map();
+  const get = (labels = {}) => {
+    const pairs = labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]);
+    const key = JSON.stringify(pairs);
+    if (!series.has(key)) {
+      series.set(key, { pairs, ...init() });
+    }
+    return series.get(key);
+  };
+  get.all = () => [...series.values()];
+  return get;
+};
+
+/**
+ * Create and register a counter
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Help text
+ * @param {string[]} labelNames - Label names
+ * @returns {{inc: Function}} Counter
+ */
+const createCounter = (name, help, labelNames = []) => {
+  const series = createSeries(labelNames, () => ({ value: 0 }));
+
+  registry.push(async () => [
+    `# HELP ${PREFIX}${name} ${help}`,
+    `# TYPE ${PREFIX}${name} counter`,
+    ...series.all().map(entry => `${PREFIX}${name}${formatLabels(entry.pairs)} ${entry.value}`)
+  ]);
+
+  return {
+    inc: (labels, value = 1) => { series(labels).value += value; }
+  };
+};
+
+/**
+ * Create and register a gauge
+ * With a collect function the value is read at scrape time instead of being set.
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Help text
+ * @param {Function} collect - Optional async function returning the current value
+ * @returns {{inc: Function, dec: Function}} Gauge
+ */
+const createGauge = (name, help, collect = null) => {
+  let value = 0;
+
+  registry.push(async () => [
+    `# HELP ${PREFIX}${name} ${help}`,
+    `# TYPE ${PREFIX}${name} gauge`,
+    `${PREFIX}${name} ${collect ? await collect() : value}`
+  ]);
+
+  return {
+    inc: () => { value += 1; },
+    dec: () => { value -= 1; }
+  };
+};
+
+/**
+ * Create and register a histogram
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Help text
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} buckets - Upper bounds in ascending order
+ * @returns {{observe: Function}} Histogram
+ */
+const createHistogram = (name, help, labelNames, buckets) => {
+  const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+  registry.push(async () => [
+    `# HELP ${PREFIX}${name} ${help}`,
+    `# TYPE ${PREFIX}${name} histogram`,
+    ...series.all().flatMap(entry => [
+      ...buckets.map((bound, i) => `${PREFIX}${name}_bucket${formatLabels([...entry.pairs, ['le', bound]])} ${entry.counts[i]}`),
+      `${PREFIX}${name}_bucket${formatLabels([...entry.pairs, ['le', '+Inf']])} ${entry.count}`,
+      `${PREFIX}${name}_sum${formatLabels(entry.pairs)} ${entry.sum}`,
+      `${PREFIX}${name}_count${formatLabels(entry.pairs)} ${entry.count}`
+    ])
+  ]);
+
+  return {
+    observe: (labels, value) => {
+      const entry = series(labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    }
+  };
+};
+
+/**
+ * Render all registered metrics
+ * @returns {Promise<string>} Prometheus text exposition format
+ */
+const renderMetrics = async () => {
+  const blocks = await Promise.all(registry.map(render => render()));
+  return `${blocks.flat().join('\n')}\n`;
+};
+
+const METRICS_AUTH_MODES = ['api', 'token', 'none'];
+
+/**
+ * Get the configured authentication mode of GET /metrics
+ * @returns {string} api (API keys like any route), token (METRICS_TOKEN) or none
+ * @throws {Error} If METRICS_AUTH is unknown or token mode has no METRICS_TOKEN
+ */
+const getMetricsAuth = () => {
+  const mode = (process.env.METRICS_AUTH || 'api').toLowerCase();
+
+  if (!METRICS_AUTH_MODES.includes(mode)) {
+    throw new Error(`Invalid METRICS_AUTH "${mode}". Supported values: ${METRICS_AUTH_MODES.join(', ')}`);
+  }
+  if (mode === 'token' && !process.env.METRICS_TOKEN) {
+    throw new Error('METRICS_AUTH=token requires METRICS_TOKEN');
+  }
+
+  return mode;
+};
+
+// HTTP metrics (recorded by middleware/metrics.js)
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = createHistogram('http_request_duration_seconds', 'Total request duration in seconds', ['method', 'route'], DURATION_BUCKETS);
+const inputBytes = createHistogram('input_bytes', 'Size of the input images of a request in bytes', ['route'], SIZE_BUCKETS);
+const outputBytes = createHistogram('output_bytes', 'Size of the response body in bytes', ['route'], SIZE_BUCKETS);
+const requestsInFlight = createGauge('http_requests_in_flight', 'Requests currently being handled');
+
+// ImageMagick metrics (recorded by utils/imagemagick.js)
+const magickDuration = createHistogram('magick_duration_seconds', 'Execution time of magick processes in seconds', ['operation'], DURATION_BUCKETS);
+const magickFailures = createCounter('magick_failures_total', 'Failed magick commands by operation and reason (error, timeout, queue_full)', ['operation', 'reason']);
+const magickProcesses = createGauge('magick_processes_active', 'Running magick child processes');
+createGauge('magick_queue_waiting', 'magick commands waiting for a free slot', async () => getQueueStats().queued);
+createGauge('magick_slots_active', 'Work queue slots in use (weighted)', async () => getQueueStats().active);
+
+// Temp directory usage, read at scrape time
+createGauge('tmp_dir_bytes', 'Total size of files in the temp directory in bytes', async () => (await getTempDirUsage()).bytes);
+createGauge('tmp_dir_files', 'Number of files in the temp directory', async () => (await getTempDirUsage()).files);
+
+module.exports = {
+  renderMetrics,
+  getMetricsAuth,
+  httpRequests,
+  httpDuration,
+  inputBytes,
+  outputBytes,
+  requestsInFlight,
+  magickDuration,
+  magickFailures,
+  magickProcesses
+};
@@ -0,0 +1,79 @@
+const { negotiateFormat, canWrite, hasFeature } = require('./formats');
+const { hasAlphaChannel } = require('./imagemagick');
+
+/**
+ * Format Negotiation Utilities
+ * format=auto lets the server pick the output format from the Accept header,
+ * e.g. WebP for browsers that announce it. Inputs with transparency or
+ * animation only go to formats that keep them (see negotiateFormat).
+ *
+ * Operations that keep the input format fall back the same way (without the
+ * Accept header) if the format cannot be written, e.g. HEIC uploads on a
+ * build without a HEIC encoder.
+ */
+
+/**
+ * Check the format parameter of routes that keep the input format by default
+ * @param {string|undefined} format - format parameter
+ * @returns {boolean} True for format=auto, false if not given
+ * @throws {Error} If a different format is given
+ */
+const isAutoFormat = (format) => {
+  if (format === undefined || format === null || format === '') {
+    return false;
+  }
+  if (String(format).toLowerCase() !== 'auto') {
+    throw new Error('format must be "auto" (leave it out to keep the input format, use /convert for a specific format)');
+  }
+  return true;
+};
+
+/**
+ * Describe the input for negotiateFormat
+ * @param {string} inputPath - Path to input image
+ * @param {string} inputFormat - Input format
+ * @param {number} frames - Frame count of the input
+ * @returns {Promise<{format: string, alpha: boolean, animated: boolean}>}
+ */
+const describeInput = async (inputPath, inputFormat, frames) => ({
+  format: inputFormat,
+  alpha: await hasAlphaChannel(inputPath),
+  animated: frames > 1 && hasFeature(inputFormat, 'animation')
+});
+
+/**
+ * Make sure a kept input format can be written
+ * @param {string} inputPath - Path to input image
+ * @param {string} format - Output format (the input format unless converted)
+ * @param {number} frames - Frame count of the input
+ * @returns {Promise<string>} The format, or JPEG/PNG/GIF if it cannot be written
+ */
+const ensureWritableFormat = async (inputPath, format, frames) => (canWrite(format)
+  ? format
+  : negotiateFormat(undefined, await describeInput(inputPath, format, frames)));
+
+/**
+ * Pick the output format of an operation that keeps the input format
+ * With format=auto the response depends on the Accept header, so Vary: Accept is set.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} inputPath - Path to input image
+ * @param {string} inputFormat - Input format
+ * @param {number} frames - Frame count of the input
+ * @param {boolean} auto - format=auto was requested
+ * @returns {Promise<string>} Output format
+ */
+const chooseOutputFormat = async (req, res, inputPath, inputFormat, frames, auto) => {
+  if (!auto) {
+    return ensureWritableFormat(inputPath, inputFormat, frames);
+  }
+
+  res.vary('Accept');
+  return negotiateFormat(req.headers.accept, await describeInput(inputPath, inputFormat, frames));
+};
+
+module.exports = {
+  isAutoFormat,
+  ensureWritableFormat,
+  chooseOutputFormat
+};
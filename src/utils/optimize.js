@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const { optimizeImage, getImageDimensions, getFrameCount } = require('./imagemagick');
+const { generateTempPath } = require('./fileHandler');
+const { hasFeature } = require('./formats');
+
+/**
+ * Optimize Utilities
+ * Runs /optimize and optimize jobs. With maxBytes, the highest quality whose
+ * output fits into the byte budget is found by binary search (lossless
+ * formats are encoded once). If even minQuality is too large and minScale
+ * allows it, the image is scaled down step by step and searched again.
+ */
+
+// Upper end of the quality search unless quality is given
+const DEFAULT_MAX_QUALITY = 90;
+
+// Each scaling step keeps this share of the previous width
+const SCALE_STEP = 0.85;
+
+/**
+ * Create error with HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * List the scales to try, from full size down to minScale
+ * @param {number} minScale - Smallest scale (0.1-1)
+ * @returns {number[]} Scales in descending order
+ */
+const getScales = (minScale) => {
+  const scales = [];
+  for (let scale = 1; scale > minScale; scale *= SCALE_STEP) {
+    scales.push(scale);
+  }
+  scales.push(minScale);
+  return scales;
+};
+
+/**
+ * Compare output and input size
+ * @param {number} originalBytes - Input size in bytes
+ * @param {number} outputBytes - Output size in bytes
+ * @returns {{originalBytes: number, outputBytes: number, savedPercent: number}} Report, savedPercent is negative if the output grew
+ */
+const savingsReport = (originalBytes, outputBytes) => ({
+  originalBytes,
+  outputBytes,
+  savedPercent: originalBytes > 0 ? Math.round((1 - outputBytes / originalBytes) * 1000) / 10 : 0
+});
+
+/**
+ * Find the largest output that fits into options.maxBytes
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path to output image
+ * @param {string} format - Output format
+ * @param {Object} options - Normalized optimize options (see utils/pipeline.js)
+ * @returns {Promise<Object>} Chosen quality, plus scale, width and height if the image was scaled down
+ * @throws {Error} 422 if no result fits
+ */
+const optimizeToSize = async (inputPath, outputPath, format, options) => {
+  const { maxBytes, minQuality, minScale } = options;
+  const lossy = hasFeature(format, 'lossy');
+  const maxQuality = options.quality !== null ? options.quality : DEFAULT_MAX_QUALITY;
+  const input = minScale < 1 ? await getImageDimensions(inputPath) : null;
+  const frames = await getFrameCount(inputPath);
+  const attemptPath = generateTempPath(format);
+  let smallest = null;
+
+  // Encode one candidate and keep it as the result if it fits
+  const attempt = async (quality, width) => {
+    await optimizeImage(inputPath, attemptPath, { ...options, quality, width }, format, frames);
+    const { size } = await fs.stat(attemptPath);
+    if (!smallest || size < smallest) {
+      smallest = size;
+    }
+    if (size > maxBytes) {
+      return false;
+    }
+    await fs.rename(attemptPath, outputPath);
+    return true;
+  };
+
+  try {
+    let previousWidth = null;
+
+    for (const scale of getScales(minScale)) {
+      const width = scale < 1 ? Math.max(1, Math.round(input.width * scale)) : null;
+      if (width !== null && width === previousWidth) {
+        continue;
+      }
+      previousWidth = width;
+
+      const resized = width !== null && {
+        scale: Math.round(scale * 1000) / 1000,
+        width,
+        height: Math.max(1, Math.round(input.height * width / input.width))
+      };
+
+      if (!lossy) {
+        if (await attempt(null, width)) {
+          return { ...resized };
+        }
+        continue;
+      }
+
+      if (!(await attempt(minQuality, width))) {
+        continue;
+      }
+      if (maxQuality > minQuality && await attempt(maxQuality, width)) {
+        return { quality: maxQuality, ...resized };
+      }
+
+      // minQuality fits, maxQuality does not: search the highest quality in between
+      let low = minQuality;
+      let high = maxQuality - 1;
+      while (low < high) {
+        const quality = Math.ceil((low + high) / 2);
+        if (await attempt(quality, width)) {
+          low = quality;
+        } else {
+          high = quality - 1;
+        }
+      }
+      return { quality: low, ...resized };
+    }
+  } finally {
+    // Gone already if the last attempt was kept
+    await fs.rm(attemptPath, { force: true });
+  }
+
+  const hint = lossy ? 'raise maxBytes or lower minQuality/minScale' : 'raise maxBytes, lower minScale or reduce colors';
+  throw httpError(`Cannot optimize to ${maxBytes} bytes: the smallest result is ${smallest} bytes (${hint})`, 422);
+};
+
+/**
+ * Optimize an image and report the savings
+ * @param {string} inputPath - Path to input image
+ * @param {string} outputPath - Path to output image
+ * @param {string} format - Output format
+ * @param {Object} options - Normalized optimize options (see utils/pipeline.js)
+ * @returns {Promise<Object>} Applied settings and savings report (see savingsReport)
+ * @throws {Error} 422 if maxBytes cannot be reached
+ */
+const optimizeFile = async (inputPath, outputPath, format, options) => {
+  let settings;
+  if (options.maxBytes) {
+    settings = await optimizeToSize(inputPath, outputPath, format, options);
+  } else {
+    await optimizeImage(inputPath, outputPath, options, format);
+    settings = hasFeature(format, 'lossy') && options.quality !== null ? { quality: options.quality } : {};
+  }
+
+  const [input, output] = await Promise.all([fs.stat(inputPath), fs.stat(outputPath)]);
+
+  return {
+    ...settings,
+    ...(options.colors !== null && !hasFeature(format, 'lossy') && { colors: options.colors }),
+    ...(options.compressionLevel !== null && format === 'png' && { compressionLevel: options.compressionLevel }),
+    ...(options.maxBytes && { maxBytes: options.maxBytes }),
+    ...savingsReport(input.size, output.size)
+  };
+};
+
+module.exports = {
+  optimizeFile
+};
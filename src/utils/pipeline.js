@@ -0,0 +1,430 @@
+const { validateParams, validateNumeric } = require('./response');
+const { checkOutputSize } = require('./limits');
+const { getOutputFormats, normalizeFormat, checkCodec, hasFeature } = require('./formats');
+
+/**
+ * Pipeline Utilities
+ * Parses and validates the ordered step list for the /pipeline endpoint
+ */
+
+const MAX_STEPS = 20;
+
+const RESIZE_FITS = ['fill', 'inside', 'outside', 'cover', 'contain'];
+
+const GRAVITIES = ['center', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+const RESIZE_FILTERS = ['lanczos', 'mitchell', 'point', 'triangle', 'catrom', 'cubic', 'hermite', 'box', 'gaussian'];
+
+// Lowest quality the maxBytes search of optimize goes down to unless minQuality is given
+const DEFAULT_MIN_QUALITY = 30;
+
+// Named colors, hex colors and rgb()/rgba()/hsl()/hsla() notation
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+[0-9]*|(rgb|rgba|hsl|hsla)\([\d.,%\s]+\))$/i;
+
+/**
+ * Validate quality value (1-100)
+ * @param {string|number} quality - Quality value
+ * @returns {number} Parsed quality
+ * @throws {Error} If quality is out of range
+ */
+const parseQuality = (quality) => {
+  validateNumeric({ quality }, ['quality']);
+  const qualityNum = parseInt(quality, 10);
+  if (qualityNum < 1 || qualityNum > 100) {
+    throw new Error('Quality must be between 1 and 100');
+  }
+  return qualityNum;
+};
+
+/**
+ * Validate encoder effort (1 = fastest, 9 = smallest files)
+ * @param {string|number} effort - Effort value
+ * @returns {number|null} Parsed effort, null if not given
+ * @throws {Error} If effort is out of range
+ */
+const parseEffort = (effort) => {
+  if (effort === undefined || effort === null || effort === '') {
+    return null;
+  }
+  validateNumeric({ effort }, ['effort']);
+  const effortNum = parseInt(effort, 10);
+  if (effortNum < 1 || effortNum > 9) {
+    throw new Error('Effort must be between 1 and 9');
+  }
+  return effortNum;
+};
+
+/**
+ * Check whether an optional parameter was given
+ * @param {*} value - Raw value
+ * @returns {boolean} False for undefined, null and empty strings
+ */
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Validate an optional integer parameter
+ * @param {string|number} value - Raw value
+ * @param {string} name - Parameter name for the error message
+ * @param {number} min - Smallest allowed value
+ * @param {number|null} max - Largest allowed value, null for no upper bound
+ * @returns {number|null} Parsed value, null if not given
+ * @throws {Error} If the value is out of range
+ */
+const parseOptionalInteger = (value, name, min, max = null) => {
+  if (!hasValue(value)) {
+    return null;
+  }
+  validateNumeric({ [name]: value }, [name]);
+  const number = parseInt(value, 10);
+  if (number < min || (max !== null && number > max)) {
+    throw new Error(max === null ? `${name} must be at least ${min}` : `${name} must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Parse boolean form value
+ * @param {string|boolean|undefined} value - Raw value
+ * @returns {boolean} True for true/1/yes
+ */
+const parseBoolean = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+/**
+ * Validate color value
+ * @param {string} color - Color name, hex or rgb()/hsl() notation
+ * @param {string} name - Parameter name for the error message
+ * @returns {string} Color
+ * @throws {Error} If the color is invalid
+ */
+const parseColor = (color, name) => {
+  const value = String(color).trim();
+  if (!COLOR_PATTERN.test(value)) {
+    throw new Error(`Parameter '${name}' must be a color name, hex value (#rrggbb) or rgb()/rgba() notation`);
+  }
+  return value;
+};
+
+/**
+ * Step normalizers, one per supported operation.
+ * Each mirrors the validation of the matching single-operation route.
+ */
+const normalizers = {
+  resize: ({ width, height, fit, gravity, withoutEnlargement, extend, filter, background }, inputFormat) => {
+    if (!width && !height) {
+      throw new Error('At least one of width or height must be specified');
+    }
+    validateNumeric({ width, height }, ['width', 'height']);
+
+    const targetWidth = width ? parseInt(width, 10) : null;
+    const targetHeight = height ? parseInt(height, 10) : null;
+    checkOutputSize(targetWidth, targetHeight);
+
+    // Default keeps the original behavior: exact size with both dimensions, aspect ratio otherwise
+    const fitMode = fit ? String(fit).toLowerCase() : (targetWidth && targetHeight ? 'fill' : 'inside');
+    if (!RESIZE_FITS.includes(fitMode)) {
+      throw new Error(`Invalid fit. Supported values: ${RESIZE_FITS.join(', ')}`);
+    }
+    if (['cover', 'contain'].includes(fitMode) && !(targetWidth && targetHeight)) {
+      throw new Error(`Fit "${fitMode}" requires both width and height`);
+    }
+    const extendToSize = parseBoolean(extend);
+    if (extendToSize && !(targetWidth && targetHeight)) {
+      throw new Error('extend requires both width and height');
+    }
+
+    const anchor = gravity ? String(gravity).toLowerCase() : 'center';
+    if (!GRAVITIES.includes(anchor)) {
+      throw new Error(`Invalid gravity. Supported values: ${GRAVITIES.join(', ')}`);
+    }
+
+    const resampleFilter = filter ? String(filter).toLowerCase() : null;
+    if (resampleFilter && !RESIZE_FILTERS.includes(resampleFilter)) {
+      throw new Error(`Invalid filter. Supported values: ${RESIZE_FILTERS.join(', ')}`);
+    }
+
+    // Formats that can keep a transparent letterbox background
+    const defaultBackground = hasFeature(inputFormat, 'alpha') ? 'transparent' : 'white';
+
+    return {
+      width: targetWidth,
+      height: targetHeight,
+      fit: fitMode,
+      gravity: anchor,
+      withoutEnlargement: parseBoolean(withoutEnlargement),
+      extend: extendToSize,
+      filter: resampleFilter,
+      background: background ? parseColor(background, 'background') : defaultBackground
+    };
+  },
+
+  crop: ({ mode, width, height, x, y }) => {
+    validateParams({ mode }, ['mode']);
+    const cropMode = String(mode).toLowerCase();
+
+    if (!['manual', 'trim'].includes(cropMode)) {
+      throw new Error('Mode must be "manual" or "trim"');
+    }
+
+    if (cropMode === 'trim') {
+      return { mode: cropMode };
+    }
+
+    // x/y may legitimately be 0, so only reject when absent
+    const missing = ['width', 'height', 'x', 'y'].filter(key => !hasValue({ width, height, x, y }[key]));
+    if (missing.length > 0) {
+      throw new Error(`Missing required parameters: ${missing.join(', ')}`);
+    }
+    validateNumeric({ width, height, x, y }, ['width', 'height', 'x', 'y']);
+
+    return {
+      mode: cropMode,
+      width: parseInt(width, 10),
+      height: parseInt(height, 10),
+      x: parseInt(x, 10),
+      y: parseInt(y, 10)
+    };
+  },
+
+  rotate: ({ operation, value }) => {
+    validateParams({ operation, value }, ['operation', 'value']);
+    const op = String(operation).toLowerCase();
+
+    if (!['rotate', 'flip'].includes(op)) {
+      throw new Error('Operation must be "rotate" or "flip"');
+    }
+
+    if (op === 'rotate') {
+      const degrees = parseInt(value, 10);
+      if (![90, 180, 270, -90, -180, -270].includes(degrees)) {
+        throw new Error('Rotation degrees must be 90, 180, or 270 (or negative equivalents)');
+      }
+      return { operation: op, value: degrees };
+    }
+
+    const direction = String(value).toLowerCase();
+    if (!['horizontal', 'vertical'].includes(direction)) {
+      throw new Error('Flip direction must be "horizontal" or "vertical"');
+    }
+    return { operation: op, value: direction };
+  },
+
+  convert: ({ format, quality, effort }) => {
+    validateParams({ format }, ['format']);
+    const targetFormat = String(format).toLowerCase();
+    checkCodec(targetFormat, 'write');
+
+    const outputFormats = getOutputFormats();
+    if (!outputFormats.includes(targetFormat)) {
+      throw new Error(`Invalid format. Supported formats: ${outputFormats.join(', ')}`);
+    }
+
+    return {
+      format: normalizeFormat(targetFormat),
+      quality: quality !== undefined && quality !== null && quality !== '' ? parseQuality(quality) : null,
+      effort: parseEffort(effort)
+    };
+  },
+
+  optimize: ({ quality, maxBytes, minQuality, minScale, colors, compressionLevel }) => {
+    const options = {
+      quality: hasValue(quality) ? parseQuality(quality) : null,
+      colors: parseOptionalInteger(colors, 'colors', 2, 256),
+      compressionLevel: parseOptionalInteger(compressionLevel, 'compressionLevel', 0, 9)
+    };
+    const targetBytes = parseOptionalInteger(maxBytes, 'maxBytes', 1);
+
+    if (targetBytes === null) {
+      if (hasValue(minQuality) || hasValue(minScale)) {
+        throw new Error('minQuality and minScale require maxBytes');
+      }
+      // Quality only matters for lossy formats, PNG/GIF output can be optimized with the lossless options alone
+      if (options.colors === null && options.compressionLevel === null) {
+        validateParams({ quality }, ['quality']);
+      }
+      return options;
+    }
+
+    const lowestQuality = hasValue(minQuality) ? parseQuality(minQuality) : DEFAULT_MIN_QUALITY;
+    if (options.quality !== null && lowestQuality > options.quality) {
+      throw new Error('minQuality must not be greater than quality');
+    }
+
+    const smallestScale = hasValue(minScale) ? parseFloat(minScale) : 1;
+    if (Number.isNaN(smallestScale) || smallestScale < 0.1 || smallestScale > 1) {
+      throw new Error('minScale must be a number between 0.1 and 1');
+    }
+
+    return { ...options, maxBytes: targetBytes, minQuality: lowestQuality, minScale: smallestScale };
+  }
+};
+
+/**
+ * Validate and normalize the parameters of a single operation
+ * @param {string} op - Operation name
+ * @param {Object} params - Raw parameters
+ * @param {string} inputFormat - Format of the image entering this step
+ * @returns {Object} Normalized parameters
+ * @throws {Error} If the operation or its parameters are invalid
+ */
+const normalizeStep = (op, params, inputFormat) => {
+  const normalize = normalizers[op];
+  if (!normalize) {
+    throw new Error(`Unsupported operation "${op}". Supported operations: ${Object.keys(normalizers).join(', ')}`);
+  }
+  return normalize(params, inputFormat);
+};
+
+/**
+ * Parse and validate pipeline steps
+ * @param {string|Object[]} rawSteps - JSON string or array of step objects
+ * @param {string} inputFormat - Input file extension
+ * @returns {Object[]} Normalized steps, each with an `op` field
+ * @throws {Error} If the list or any step is invalid
+ */
+const parseSteps = (rawSteps, inputFormat) => {
+  let steps = rawSteps;
+
+  if (typeof steps === 'string') {
+    try {
+      steps = JSON.parse(steps);
+    } catch {
+      throw new Error('Parameter \'steps\' must be a valid JSON array');
+    }
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Parameter \'steps\' must be a non-empty array');
+  }
+
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`Too many steps. Maximum is ${MAX_STEPS}`);
+  }
+
+  let currentFormat = inputFormat;
+
+  return steps.map((step, index) => {
+    if (!step || typeof step !== 'object' || !step.op) {
+      throw new Error(`Step ${index + 1}: missing "op" field`);
+    }
+
+    const op = String(step.op).toLowerCase();
+    if (!normalizers[op]) {
+      throw new Error(`Step ${index + 1}: unsupported operation "${step.op}". Supported operations: ${Object.keys(normalizers).join(', ')}`);
+    }
+
+    try {
+      const normalized = { op, ...normalizeStep(op, step, currentFormat) };
+      if (op === 'convert') {
+        currentFormat = normalized.format;
+      }
+      // The size search runs the encoder several times, which a single magick invocation cannot do
+      if (op === 'optimize' && normalized.maxBytes) {
+        throw new Error('maxBytes is only supported by POST /optimize and optimize jobs');
+      }
+      return normalized;
+    } catch (error) {
+      const stepError = new Error(`Step ${index + 1} (${op}): ${error.message}`);
+      if (error.statusCode) {
+        stepError.statusCode = error.statusCode;
+      }
+      throw stepError;
+    }
+  });
+};
+
+/**
+ * Determine the output format after all steps ran
+ * @param {Object[]} steps - Normalized steps
+ * @param {string} inputFormat - Input file extension
+ * @returns {string} Output format
+ */
+const resolveOutputFormat = (steps, inputFormat) => {
+  const convertSteps = steps.filter(step => step.op === 'convert');
+  return convertSteps.length > 0
+    ? convertSteps[convertSteps.length - 1].format
+    : inputFormat;
+};
+
+/**
+ * Estimate the output size of a resize from the source size
+ * Sides that are not given (or follow from the aspect ratio) are derived the
+ * way ImageMagick does, so they can be checked before resizing.
+ * @param {Object} source - Source size ({ width, height })
+ * @param {Object} options - Normalized resize options
+ * @returns {{width: number, height: number}} Expected output size
+ */
+const estimateResizeSize = (source, options) => {
+  const { width, height, fit, withoutEnlargement, extend } = options;
+  if (width && height && (extend || ['fill', 'cover', 'contain'].includes(fit))) {
+    return { width, height };
+  }
+
+  const scales = [width && width / source.width, height && height / source.height].filter(Boolean);
+  let scale = fit === 'outside' ? Math.max(...scales) : Math.min(...scales);
+  if (withoutEnlargement) {
+    scale = Math.min(scale, 1);
+  }
+
+  return {
+    width: Math.round(source.width * scale),
+    height: Math.round(source.height * scale)
+  };
+};
+
+/**
+ * Check the real output size of every resize step against the output limits
+ * The normalizer can only check the requested sides. Here the size is followed
+ * through all steps from the source size, so a side derived from the aspect
+ * ratio (e.g. a width-only upscale of a tall image) is checked as well.
+ * @param {Object[]} steps - Normalized steps
+ * @param {{width: number, height: number}} source - Size of the (first frame of the) input image
+ * @throws {Error} 422 if a resize would exceed the output limits
+ */
+const checkStepSizes = (steps, source) => {
+  steps.reduce((size, step) => {
+    if (step.op === 'resize') {
+      const expected = estimateResizeSize(size, step);
+      checkOutputSize(expected.width, expected.height);
+      return expected;
+    }
+    if (step.op === 'crop' && step.mode === 'manual') {
+      return {
+        width: Math.max(1, Math.min(step.width, size.width - Math.max(0, step.x))),
+        height: Math.max(1, Math.min(step.height, size.height - Math.max(0, step.y)))
+      };
+    }
+    if (step.op === 'rotate' && step.operation === 'rotate' && Math.abs(step.value) % 180 === 90) {
+      return { width: size.height, height: size.width };
+    }
+    // Trim only shrinks, convert/optimize/flip keep the size
+    return size;
+  }, source);
+};
+
+/**
+ * Add the image size after each step to the normalized steps
+ * @param {Object[]} steps - Normalized steps
+ * @param {{width: number, height: number}[]} sizes - Size after each step (see pipelineImage)
+ * @returns {Object[]} Steps with outputWidth and outputHeight
+ */
+const describeSteps = (steps, sizes) => steps.map((step, index) => ({
+  ...step,
+  outputWidth: sizes[index] ? sizes[index].width : null,
+  outputHeight: sizes[index] ? sizes[index].height : null
+}));
+
+module.exports = {
+  MAX_STEPS,
+  RESIZE_FITS,
+  RESIZE_FILTERS,
+  GRAVITIES,
+  DEFAULT_MIN_QUALITY,
+  parseQuality,
+  parseEffort,
+  parseColor,
+  normalizeStep,
+  parseSteps,
+  resolveOutputFormat,
+  checkStepSizes,
+  describeSteps
+};
@@ -0,0 +1,150 @@
+const os = require('os');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/**
+ * Work Queue Utilities
+ * Process-wide limiter for concurrent ImageMagick processes
+ *
+ * Commands of asynchronous jobs wait for a slot even when the queue is
+ * full: the job was already accepted. Their number is bounded by the job
+ * queue (see utils/jobs.js) and they do not count towards MAGICK_QUEUE_LENGTH.
+ *
+ * Tasks are bound to the async context they were scheduled in: a task started
+ * when an earlier one finishes still logs the request id of its own request.
+ */
+
+const queue = [];
+let activeSlots = 0;
+
+const backgroundContext = new AsyncLocalStorage();
+
+/**
+ * Get maximum number of concurrently used slots
+ * @returns {number} Max concurrency (at least 1)
+ */
+const getMaxConcurrency = () => {
+  const value = parseInt(process.env.MAGICK_CONCURRENCY || String(os.cpus().length), 10);
+  return Math.max(1, value || 1);
+};
+
+/**
+ * Get maximum number of waiting tasks
+ * @returns {number} Max queue length, 0 = no limit
+ * @throws {Error} If MAGICK_QUEUE_LENGTH is not a non-negative integer
+ */
+const getMaxQueueLength = () => {
+  const value = (process.env.MAGICK_QUEUE_LENGTH || '50').trim();
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid MAGICK_QUEUE_LENGTH "${value}". Use a number of waiting commands, or 0 for no limit`);
+  }
+  return parseInt(value, 10);
+};
+
+/**
+ * Get Retry-After value for rejected requests
+ * @returns {number} Seconds
+ */
+const getRetryAfter = () => parseInt(process.env.MAGICK_RETRY_AFTER || '5', 10);
+
+/**
+ * Parse per-operation weights, e.g. "terminal=2,pipeline=2"
+ * @returns {Object} Operation name to weight
+ */
+const getWeights = () => {
+  const weights = {};
+
+  (process.env.MAGICK_WEIGHTS || '').split(',').forEach((entry) => {
+    const [name, value] = entry.split('=').map(part => part && part.trim());
+    const weight = parseInt(value, 10);
+    if (name && weight > 0) {
+      weights[name.toLowerCase()] = weight;
+    }
+  });
+
+  return weights;
+};
+
+/**
+ * Get slot weight of an operation
+ * @param {string} operation - Operation name
+ * @returns {number} Weight, capped at max concurrency
+ */
+const getWeight = (operation) => {
+  const weight = (operation && getWeights()[operation.toLowerCase()]) || 1;
+  return Math.min(weight, getMaxConcurrency());
+};
+
+/**
+ * Start queued tasks while slots are free (FIFO, no overtaking)
+ */
+const drain = () => {
+  while (queue.length > 0 && activeSlots + queue[0].weight <= getMaxConcurrency()) {
+    const { task, weight, resolve, reject } = queue.shift();
+    activeSlots += weight;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        activeSlots -= weight;
+        drain();
+      });
+  }
+};
+
+/**
+ * Count waiting tasks
+ * @param {boolean} background - Count tasks of asynchronous jobs instead of requests
+ * @returns {number} Number of waiting tasks
+ */
+const countWaiting = (background) => queue.filter(entry => entry.background === background).length;
+
+/**
+ * Run a function whose magick commands wait for a slot instead of being rejected
+ * @param {Function} fn - Function to run (its async continuations inherit the mode)
+ * @returns {*} Return value of fn
+ */
+const runInBackground = (fn) => backgroundContext.run(true, fn);
+
+/**
+ * Run a task once enough slots are free
+ * @param {Function} task - Async function to run
+ * @param {string} operation - Operation name used for weighting
+ * @returns {Promise<*>} Result of the task
+ * @throws {Error} 503 with retryAfter if the queue is full (not for background tasks)
+ */
+const schedule = (task, operation) => {
+  const background = backgroundContext.getStore() === true;
+  const maxQueueLength = getMaxQueueLength();
+  if (!background && maxQueueLength > 0 && countWaiting(false) >= maxQueueLength) {
+    const error = new Error('Server is busy. Too many images are being processed, please retry later.');
+    error.statusCode = 503;
+    error.retryAfter = getRetryAfter();
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    queue.push({ task: AsyncResource.bind(task), weight: getWeight(operation), background, resolve, reject });
+    drain();
+  });
+};
+
+/**
+ * Current queue statistics
+ * @returns {{active: number, queued: number, queuedJobs: number, maxConcurrency: number, maxQueueLength: number}} maxQueueLength 0 = no limit
+ */
+const getQueueStats = () => ({
+  active: activeSlots,
+  queued: countWaiting(false),
+  queuedJobs: countWaiting(true),
+  maxConcurrency: getMaxConcurrency(),
+  maxQueueLength: getMaxQueueLength()
+});
+
+module.exports = {
+  schedule,
+  runInBackground,
+  getMaxQueueLength,
+  getRetryAfter,
+  getQueueStats
+};
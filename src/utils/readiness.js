@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const { executeCommand, redactPaths, getMagickVersion } = require('./imagemagick');
+const { generateTempPath, saveTempFile, detectMimeType, getTempDirFreeSpace } = require('./fileHandler');
+const { getQueueStats } = require('./queue');
+
+/**
+ * Readiness Utilities
+ * Deep checks behind GET /ready: ImageMagick, its SVG delegate, temp
+ * storage and the work queue. Every check reports its own status, so a
+ * failing probe shows what is broken.
+ *
+ * /ready needs no authentication, so the result is reused for
+ * READY_CACHE_TTL and concurrent probes share one run: callers cannot
+ * start magick processes faster than once per TTL.
+ */
+
+// Rendering this exercises the SVG delegate (librsvg/MSVG) and the PNG coder
+const PROBE_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><rect width="8" height="8" fill="#336699"/></svg>';
+
+// Last run: { promise, expires } (expires is Infinity while the checks run)
+let lastRun = null;
+
+/**
+ * Get readiness settings from environment
+ * @returns {{timeout: number, minFreeDisk: number, cacheTtl: number}} magick timeout (ms),
+ *   free space threshold (bytes) and how long a result is reused (ms)
+ */
+const getReadinessSettings = () => ({
+  timeout: parseInt(process.env.READY_TIMEOUT || '5000', 10),
+  minFreeDisk: parseInt(process.env.READY_MIN_FREE_DISK || '104857600', 10),
+  cacheTtl: parseInt(process.env.READY_CACHE_TTL || '5000', 10)
+});
+
+/**
+ * Run a check and time it
+ * Error messages are reported without directories, /ready needs no authentication.
+ * @param {Function} check - Async function returning details, throws on failure
+ * @returns {Promise<Object>} { status: 'ok'|'failed', durationMs, ...details, error? }
+ */
+const runCheck = async (check) => {
+  const startTime = Date.now();
+  try {
+    const details = await check();
+    return { status: 'ok', durationMs: Date.now() - startTime, ...details };
+  } catch (error) {
+    return { status: 'failed', durationMs: Date.now() - startTime, ...error.details, error: redactPaths(error.message) };
+  }
+};
+
+/**
+ * Create a check failure that still reports its measurements
+ * @param {string} message - Error message
+ * @param {Object} details - Measured values
+ * @returns {Error} Error object
+ */
+const checkError = (message, details) => {
+  const error = new Error(message);
+  error.details = details;
+  return error;
+};
+
+/**
+ * Render a tiny SVG to PNG in the temp directory
+ * @param {number} timeout - magick timeout in milliseconds
+ * @returns {Promise<Object>} Empty details
+ */
+const checkConversion = async (timeout) => {
+  const inputPath = await saveTempFile(Buffer.from(PROBE_SVG), 'svg');
+  const outputPath = generateTempPath('png');
+
+  try {
+    await executeCommand([`svg:${inputPath}`, '-resize', '4x4', `png:${outputPath}`], { operation: 'ready', timeout });
+    if (detectMimeType(await fs.readFile(outputPath)) !== 'image/png') {
+      throw new Error('Conversion produced no PNG output');
+    }
+    return {};
+  } finally {
+    await Promise.all([
+      fs.rm(inputPath, { force: true }),
+      fs.rm(outputPath, { force: true })
+    ]);
+  }
+};
+
+/**
+ * Write, read back and delete a file in the temp directory
+ * @returns {Promise<Object>} Empty details
+ */
+const checkTempDir = async () => {
+  const content = Buffer.from(`ready ${Date.now()}`);
+  const filePath = await saveTempFile(content, 'tmp');
+
+  try {
+    if (!(await fs.readFile(filePath)).equals(content)) {
+      throw new Error('Temp file content does not match what was written');
+    }
+    await fs.unlink(filePath);
+  } catch (error) {
+    await fs.rm(filePath, { force: true }).catch(() => {});
+    throw error;
+  }
+  return {};
+};
+
+/**
+ * Compare free space of the temp directory with the threshold
+ * @param {number} minFreeDisk - Required free bytes
+ * @returns {Promise<Object>} { freeBytes, minFreeBytes }
+ */
+const checkDiskSpace = async (minFreeDisk) => {
+  const freeBytes = await getTempDirFreeSpace();
+  if (freeBytes < minFreeDisk) {
+    throw checkError(`Only ${freeBytes} bytes free in the temp directory`, { freeBytes, minFreeBytes: minFreeDisk });
+  }
+  return { freeBytes, minFreeBytes: minFreeDisk };
+};
+
+/**
+ * Check that the work queue still accepts commands
+ * @returns {Promise<Object>} Queue statistics
+ */
+const checkQueue = async () => {
+  const stats = getQueueStats();
+  if (stats.maxQueueLength > 0 && stats.queued >= stats.maxQueueLength) {
+    throw checkError('Work queue is full, new requests are rejected with 503', stats);
+  }
+  return stats;
+};
+
+/**
+ * Run all readiness checks
+ * @returns {Promise<{ready: boolean, imagemagick: Object|null, checks: Object, checkedAt: Date}>}
+ */
+const runReadinessChecks = async () => {
+  const { timeout, minFreeDisk } = getReadinessSettings();
+  let imagemagick = null;
+
+  const [magick, conversion, tmpDir, diskSpace, queue] = await Promise.all([
+    runCheck(async () => {
+      imagemagick = await getMagickVersion({ operation: 'ready', timeout });
+      return { version: imagemagick.version };
+    }),
+    runCheck(() => checkConversion(timeout)),
+    runCheck(checkTempDir),
+    runCheck(() => checkDiskSpace(minFreeDisk)),
+    runCheck(checkQueue)
+  ]);
+
+  const checks = { magick, conversion, tmpDir, diskSpace, queue };
+  return {
+    ready: Object.values(checks).every(check => check.status === 'ok'),
+    imagemagick,
+    checks,
+    checkedAt: new Date()
+  };
+};
+
+/**
+ * Get the readiness result, running the checks at most once per READY_CACHE_TTL
+ * A run in progress is shared by all callers; the TTL starts when it finishes.
+ * @returns {Promise<{ready: boolean, imagemagick: Object|null, checks: Object, checkedAt: Date}>}
+ */
+const getReadiness = () => {
+  if (lastRun && Date.now() < lastRun.expires) {
+    return lastRun.promise;
+  }
+
+  const run = { promise: runReadinessChecks(), expires: Infinity };
+  lastRun = run;
+  run.promise.then(
+    () => { run.expires = Date.now() + getReadinessSettings().cacheTtl; },
+    () => { run.expires = 0; }
+  );
+  return run.promise;
+};
+
+module.exports = {
+  runReadinessChecks,
+  getReadiness
+};
@@ -0,0 +1,249 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const { getExtension, getMimeType } = require('./fileHandler');
+
+/**
+ * Remote Image Utilities
+ * Download source images from a URL with SSRF protection
+ *
+ * Hosts are checked against the allow/deny lists, and every resolved
+ * address is checked at connect time, so DNS rebinding cannot reach
+ * private networks. Redirects are followed manually and re-checked.
+ */
+
+// Ranges that are never fetched unless IMAGE_URL_ALLOW_PRIVATE is set
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create error with HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse comma separated host list from environment
+ * @param {string} envVar - Environment variable name
+ * @returns {string[]} Lower-case host patterns
+ */
+const getHostList = (envVar) => (process.env[envVar] || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Check host against a list of patterns ("example.com" or "*.example.com")
+ * @param {string} host - Lower-case host name
+ * @param {string[]} patterns - Host patterns
+ * @returns {boolean} True if any pattern matches
+ */
+const matchesHost = (host, patterns) => patterns.some((pattern) => {
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return host === pattern;
+});
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise internal
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Check whether internal addresses may be fetched
+ * @returns {boolean} True if IMAGE_URL_ALLOW_PRIVATE is enabled
+ */
+const allowPrivate = () => process.env.IMAGE_URL_ALLOW_PRIVATE === 'true';
+
+/**
+ * Validate URL protocol and host against the configured lists
+ * @param {URL} url - Parsed URL
+ * @throws {Error} 400 if the URL may not be fetched
+ */
+const checkUrl = (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw httpError('imageUrl must use http or https', 400);
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const allowlist = getHostList('IMAGE_URL_ALLOWLIST');
+  const denylist = getHostList('IMAGE_URL_DENYLIST');
+
+  if (matchesHost(host, denylist)) {
+    throw httpError(`Host ${host} is not allowed`, 400);
+  }
+  if (allowlist.length > 0 && !matchesHost(host, allowlist)) {
+    throw httpError(`Host ${host} is not in the allowlist`, 400);
+  }
+
+  // IP literals are connected to without a DNS lookup
+  if (net.isIP(host) && !allowPrivate() && isPrivateAddress(host)) {
+    throw httpError(`Host ${host} is a private address`, 400);
+  }
+};
+
+/**
+ * DNS lookup that rejects internal addresses (used as socket lookup)
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - Lookup options
+ * @param {Function} callback - Node lookup callback
+ */
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const blocked = !allowPrivate() && addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(httpError(`Host ${hostname} resolves to a private address`, 400));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Determine MIME type of downloaded data
+ * Uses the Content-Type header, falling back to the URL file extension.
+ * @param {string|undefined} contentType - Content-Type response header
+ * @param {URL} url - Final URL
+ * @returns {string} MIME type
+ */
+const resolveMimeType = (contentType, url) => {
+  const mimetype = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (mimetype.startsWith('image/') || mimetype === 'application/pdf') {
+    return mimetype;
+  }
+
+  const filename = path.posix.basename(url.pathname);
+  return filename.includes('.') ? getMimeType(getExtension(filename)) : mimetype;
+};
+
+/**
+ * Issue a single GET request (no redirect handling)
+ * @param {URL} url - URL to fetch
+ * @param {number} maxBytes - Maximum response size
+ * @param {AbortSignal} signal - Abort signal for the overall download timeout
+ * @returns {Promise<{statusCode: number, headers: Object, buffer: Buffer|null}>}
+ */
+const request = (url, maxBytes, signal) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+
+  const req = client.get(url, { lookup: safeLookup, signal, headers: { Accept: 'image/*,application/pdf' } }, (res) => {
+    // Redirects are handled by the caller
+    if (res.statusCode >= 300 && res.statusCode < 400) {
+      res.resume();
+      return resolve({ statusCode: res.statusCode, headers: res.headers, buffer: null });
+    }
+
+    if (res.statusCode !== 200) {
+      res.resume();
+      const error = httpError(`Fetching imageUrl failed with HTTP status ${res.statusCode}`, 502);
+      error.upstreamStatus = res.statusCode;
+      return reject(error);
+    }
+
+    const tooLarge = () => httpError(`Remote image too large. Maximum size is ${maxBytes} bytes.`, 413);
+
+    if (parseInt(res.headers['content-length'] || '0', 10) > maxBytes) {
+      res.destroy();
+      return reject(tooLarge());
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        res.destroy(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on('error', reject);
+    res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, buffer: Buffer.concat(chunks) }));
+  });
+
+  req.on('error', reject);
+});
+
+/**
+ * Download an image from a URL
+ * @param {string} imageUrl - http(s) URL of the image
+ * @param {number} maxBytes - Maximum download size (default: MAX_FILE_SIZE)
+ * @returns {Promise<Object>} Multer-like file object ({ buffer, mimetype, originalname, size })
+ * @throws {Error} 400 for invalid/blocked URLs, 413 if too large, 502 on upstream errors (with upstreamStatus), 504 on timeout
+ */
+const fetchRemoteImage = async (imageUrl, maxBytes = parseInt(process.env.MAX_FILE_SIZE || '52428800', 10)) => {
+  const timeout = parseInt(process.env.IMAGE_URL_TIMEOUT || '10000', 10);
+  const maxRedirects = parseInt(process.env.IMAGE_URL_MAX_REDIRECTS || '3', 10);
+
+  let url;
+  try {
+    url = new URL(String(imageUrl));
+  } catch {
+    throw httpError('imageUrl must be a valid URL', 400);
+  }
+
+  const signal = AbortSignal.timeout(timeout);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      checkUrl(url);
+
+      const response = await request(url, maxBytes, signal);
+      if (response.buffer) {
+        return {
+          originalname: path.posix.basename(url.pathname) || 'image',
+          mimetype: resolveMimeType(response.headers['content-type'], url),
+          buffer: response.buffer,
+          size: response.buffer.length
+        };
+      }
+
+      if (redirects >= maxRedirects) {
+        throw httpError(`Too many redirects (maximum ${maxRedirects})`, 502);
+      }
+      if (!response.headers.location) {
+        throw httpError('Redirect without Location header', 502);
+      }
+      url = new URL(response.headers.location, url);
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw httpError(`Fetching imageUrl timed out after ${timeout} ms`, 504);
+    }
+    if (!error.statusCode) {
+      throw httpError(`Fetching imageUrl failed: ${error.message}`, 502);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  fetchRemoteImage
+};
@@ -1,3 +1,8 @@
+const archiver = require('archiver');
+const { detectMimeType } = require('./fileHandler');
+const { sanitizeSvg } = require('./svgSanitizer');
+const { getInputMimeTypes, checkCodec } = require('./formats');
+
 /**
  * Response Formatting Utilities
  * Consistent JSON response structure for all endpoints
@@ -60,29 +65,60 @@ const validateNumeric = (params, keys) => {
   }
 };
 
+/**
+ * Validate text parameters
+ * JSON bodies may carry numbers, arrays or objects where a string is expected.
+ * @param {Object} params - Parameters object
+ * @param {string[]} keys - Keys that must be strings if given
+ * @throws {Error} 400 if a value is not a string
+ */
+const validateStrings = (params, keys) => {
+  for (const key of keys) {
+    if (params[key] !== undefined && params[key] !== null && typeof params[key] !== 'string') {
+      const error = new Error(`Parameter '${key}' must be a string`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+};
+
 /**
  * Validate file upload
+ * The format is sniffed from the content (magic bytes), the client-supplied
+ * MIME type is not trusted. file.mimetype is replaced by the detected type,
+ * and SVG content is sanitized in place.
  * @param {Object} file - Multer file object
- * @throws {Error} If file is missing or invalid
+ * @param {string[]} extraMimeTypes - Additional accepted document MIME types (e.g. application/pdf), if readable
+ * @throws {Error} If file is missing or invalid (statusCode 415 if the content is not a supported format
+ *   or its codec is missing in the installed ImageMagick)
  */
-const validateFile = (file) => {
+const validateFile = (file, extraMimeTypes = []) => {
   if (!file) {
-    throw new Error('No image file provided. Please upload an image using the "image" field.');
+    throw new Error('No image file provided. Please upload an image using the "image" field or pass an "imageUrl".');
   }
 
-  // Validate MIME type
+  // Validate MIME type against the formats the installed ImageMagick can read
+  const readable = getInputMimeTypes({ documents: true });
   const validMimeTypes = [
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'image/bmp',
-    'image/tiff',
-    'image/svg+xml'
+    ...getInputMimeTypes(),
+    ...extraMimeTypes.filter(mimeType => readable.includes(mimeType))
   ];
 
-  if (!validMimeTypes.includes(file.mimetype)) {
-    throw new Error(`Invalid file type. Supported formats: ${validMimeTypes.join(', ')}`);
+  const detected = detectMimeType(file.buffer);
+  if (detected && !validMimeTypes.includes(detected)) {
+    checkCodec(detected, 'read');
+  }
+  if (!detected || !validMimeTypes.includes(detected)) {
+    const error = new Error(`Invalid file type. The file content is not one of the supported formats: ${validMimeTypes.join(', ')}`);
+    error.statusCode = 415;
+    throw error;
+  }
+
+  file.mimetype = detected;
+
+  if (detected === 'image/svg+xml') {
+    file.buffer = sanitizeSvg(file.buffer);
+    file.size = file.buffer.length;
   }
 };
 
@@ -117,11 +153,40 @@ const binaryResponse = (res, imageBuffer, metadata, format, filename) => {
   res.send(imageBuffer);
 };
 
+/**
+ * Send several files as a ZIP archive with metadata in HTTP headers
+ * @param {Object} res - Express response object
+ * @param {{name: string, buffer: Buffer}[]} files - Archive entries
+ * @param {Object} metadata - Metadata object, sent as X-Image-* headers
+ * @param {string} filename - Filename for Content-Disposition header
+ * @returns {Promise<void>} Resolves once the archive is written
+ */
+const zipResponse = async (res, files, metadata, filename) => {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  Object.keys(metadata).forEach(key => {
+    const headerName = `X-Image-${key.charAt(0).toUpperCase() + key.slice(1)}`;
+    res.setHeader(headerName, String(metadata[key]));
+  });
+
+  // Images are already compressed, so entries are stored as-is
+  const archive = archiver('zip', { store: true });
+  archive.pipe(res);
+
+  files.forEach(file => archive.append(file.buffer, { name: file.name }));
+
+  res.status(200);
+  await archive.finalize();
+};
+
 module.exports = {
   successResponse,
   errorResponse,
   validateParams,
   validateNumeric,
+  validateStrings,
   validateFile,
-  binaryResponse
+  binaryResponse,
+  zipResponse
 };
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { fetchRemoteImage } = require('./remoteImage');
+const { detectMimeType, getExtension, getMimeType } = require('./fileHandler');
+const { getOutputFormats, checkCodec } = require('./formats');
+
+/**
+ * Signed URL Utilities
+ * Signature checks, path operations and source loading for GET /img
+ *
+ * URL layout: /img/{signature}/{operation}/.../{encoded source}
+ *   - signature: base64url HMAC-SHA256 of "/{operation}/.../{encoded source}" with IMG_SIGNING_KEY
+ *   - operation: name:arg:arg in imgproxy syntax (e.g. rs:fill:300:200, g:no, f:webp, q:80)
+ *   - encoded source: base64url of the path below IMG_SOURCE_DIR or IMG_SOURCE_BASE_URL
+ */
+
+// Path operation names and their short aliases
+const OPERATION_ALIASES = {
+  rs: 'resize',
+  resize: 'resize',
+  g: 'gravity',
+  gravity: 'gravity',
+  c: 'crop',
+  crop: 'crop',
+  t: 'trim',
+  trim: 'trim',
+  rot: 'rotate',
+  rotate: 'rotate',
+  fl: 'flip',
+  flip: 'flip',
+  f: 'format',
+  format: 'format',
+  q: 'quality',
+  quality: 'quality'
+};
+
+const FLIP_DIRECTIONS = { h: 'horizontal', v: 'vertical', horizontal: 'horizontal', vertical: 'vertical' };
+
+// imgproxy resizing types and the /resize fit they correspond to (auto is resolved in resizeFit)
+const RESIZING_TYPES = { fit: 'inside', fill: 'cover', force: 'fill', auto: null };
+
+// imgproxy gravity types and the API gravity they correspond to (smart gravity falls back to center)
+const GRAVITY_TYPES = {
+  ce: 'center',
+  no: 'north',
+  so: 'south',
+  ea: 'east',
+  we: 'west',
+  noea: 'northeast',
+  nowe: 'northwest',
+  soea: 'southeast',
+  sowe: 'southwest',
+  sm: 'center'
+};
+
+/**
+ * Parse an imgproxy boolean argument
+ * @param {string|undefined} value - Argument (1, t or true enable it)
+ * @returns {boolean} True if enabled
+ */
+const isEnabled = value => ['1', 't', 'true'].includes(String(value).toLowerCase());
+
+/**
+ * Create error with HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sign a path with IMG_SIGNING_KEY
+ * @param {string} signedPath - Path after the signature segment, starting with "/"
+ * @returns {string} base64url encoded HMAC-SHA256
+ */
+const signPath = (signedPath) => crypto
+  .createHmac('sha256', process.env.IMG_SIGNING_KEY)
+  .update(signedPath)
+  .digest('base64url');
+
+/**
+ * Verify the signature of a GET /img path
+ * With IMG_ALLOW_UNSIGNED=true the signature "unsafe" is accepted as well (for development).
+ * @param {string} signature - Signature segment from the URL
+ * @param {string} signedPath - Path after the signature segment, starting with "/"
+ * @throws {Error} 404 if signed URLs are not configured, 403 if the signature is invalid
+ */
+const verifySignature = (signature, signedPath) => {
+  const allowUnsigned = process.env.IMG_ALLOW_UNSIGNED === 'true';
+  if (!process.env.IMG_SIGNING_KEY && !allowUnsigned) {
+    throw httpError('Signed image URLs are not enabled. Set IMG_SIGNING_KEY to use GET /img.', 404);
+  }
+
+  if (allowUnsigned && signature === 'unsafe') {
+    return;
+  }
+
+  const expected = process.env.IMG_SIGNING_KEY ? Buffer.from(signPath(signedPath)) : Buffer.alloc(0);
+  const actual = Buffer.from(String(signature));
+  if (expected.length === 0 || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw httpError('Invalid signature.', 403);
+  }
+};
+
+/**
+ * Map an imgproxy resizing type to a /resize fit
+ * Like imgproxy, a missing type means "fit". "auto" crops to fill the box when
+ * both sides are given (imgproxy also compares the orientations, which are not
+ * known here) and fits inside otherwise.
+ * @param {string} type - Resizing type (fit, fill, force or auto)
+ * @param {string|undefined} width - Target width
+ * @param {string|undefined} height - Target height
+ * @returns {string} Fit mode for the resize step
+ * @throws {Error} 400 for unknown resizing types
+ */
+const resizeFit = (type, width, height) => {
+  const key = (type || 'fit').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(RESIZING_TYPES, key)) {
+    throw httpError(`Invalid resizing type "${type}". Supported types: ${Object.keys(RESIZING_TYPES).join(', ')}`, 400);
+  }
+  if (key === 'auto') {
+    return width && height ? 'cover' : 'inside';
+  }
+  return RESIZING_TYPES[key];
+};
+
+/**
+ * Map an imgproxy gravity option to an API gravity
+ * @param {string[]} args - Gravity arguments (type and optional x/y offsets)
+ * @returns {string} Gravity for the resize steps
+ * @throws {Error} 400 for unknown types and offsets (not supported)
+ */
+const parseGravity = ([type, x, y]) => {
+  const key = String(type || '').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(GRAVITY_TYPES, key)) {
+    throw httpError(`Invalid gravity "${type}". Supported types: ${Object.keys(GRAVITY_TYPES).join(', ')}`, 400);
+  }
+  if ((x && Number(x) !== 0) || (y && Number(y) !== 0)) {
+    throw httpError('Gravity offsets are not supported', 400);
+  }
+  return GRAVITY_TYPES[key];
+};
+
+/**
+ * Translate path operations into pipeline steps
+ * Format and quality apply to the output, so they become a final convert
+ * (or optimize) step regardless of their position. Like in imgproxy, gravity
+ * applies to every resize, wherever it appears.
+ * @param {string[]} segments - Operation segments (e.g. ["rs:fill:300:200", "g:no", "f:webp", "q:80"])
+ * @returns {Object[]} Raw pipeline steps, to be validated with parseSteps()
+ * @throws {Error} 400 for unknown or malformed operations
+ */
+const parseOperations = (segments) => {
+  const steps = [];
+  let format = null;
+  let quality = null;
+  let gravity;
+
+  // Zero or empty sizes mean "derive from the aspect ratio"
+  const size = value => (value && value !== '0' ? value : undefined);
+
+  for (const segment of segments) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch {
+      throw httpError(`Malformed operation "${segment}"`, 400);
+    }
+
+    const [name, ...args] = decoded.split(':');
+    const operation = OPERATION_ALIASES[name.toLowerCase()];
+
+    switch (operation) {
+      case 'resize': {
+        // rs:%type:%width:%height:%enlarge:%extend, imgproxy does not enlarge by default
+        const [type, width, height, enlarge, extend] = args;
+        const bothSides = Boolean(size(width) && size(height));
+        steps.push({
+          op: 'resize',
+          fit: resizeFit(type, size(width), size(height)),
+          width: size(width),
+          height: size(height),
+          withoutEnlargement: !isEnabled(enlarge),
+          extend: bothSides && isEnabled(extend)
+        });
+        break;
+      }
+      case 'gravity':
+        gravity = parseGravity(args);
+        break;
+      case 'crop': {
+        const [width, height, x = '0', y = '0'] = args;
+        steps.push({ op: 'crop', mode: 'manual', width, height, x, y });
+        break;
+      }
+      case 'trim':
+        steps.push({ op: 'crop', mode: 'trim' });
+        break;
+      case 'rotate':
+        steps.push({ op: 'rotate', operation: 'rotate', value: args[0] });
+        break;
+      case 'flip': {
+        const direction = FLIP_DIRECTIONS[String(args[0]).toLowerCase()];
+        if (!direction) {
+          throw httpError('Flip direction must be "h" (horizontal) or "v" (vertical)', 400);
+        }
+        steps.push({ op: 'rotate', operation: 'flip', value: direction });
+        break;
+      }
+      case 'format':
+        format = String(args[0] || '').toLowerCase();
+        checkCodec(format, 'write');
+        // SVG output would be served inline from the API origin
+        if (!getOutputFormats({ vector: false }).includes(format)) {
+          throw httpError(`Invalid format. Supported formats: ${getOutputFormats({ vector: false }).join(', ')}`, 400);
+        }
+        break;
+      case 'quality':
+        quality = args[0];
+        break;
+      default:
+        throw httpError(`Unknown operation "${name}". Supported operations: ${Object.keys(OPERATION_ALIASES).join(', ')}`, 400);
+    }
+  }
+
+  if (gravity) {
+    steps.filter(step => step.op === 'resize').forEach((step) => {
+      step.gravity = gravity;
+    });
+  }
+
+  if (format) {
+    steps.push({ op: 'convert', format, quality });
+  } else if (quality) {
+    steps.push({ op: 'optimize', quality });
+  }
+
+  return steps;
+};
+
+/**
+ * Decode the source segment
+ * @param {string} encoded - base64url encoded source path (an optional ".ext" suffix is ignored)
+ * @returns {string} Source path
+ * @throws {Error} 400 if the segment is not valid base64url
+ */
+const decodeSource = (encoded) => {
+  const value = String(encoded).replace(/\.[a-z0-9]+$/i, '');
+  if (!/^[A-Za-z0-9_-]+$/.test(value)) {
+    throw httpError('Source must be base64url encoded', 400);
+  }
+
+  const source = Buffer.from(value, 'base64url').toString('utf8');
+  if (!source || source.includes('\0')) {
+    throw httpError('Source must be base64url encoded', 400);
+  }
+  return source;
+};
+
+/**
+ * Read a source image from IMG_SOURCE_DIR
+ * @param {string} source - Path relative to the directory
+ * @param {number} maxBytes - Maximum file size
+ * @returns {Promise<Object>} Multer-like file object ({ buffer, mimetype, originalname, size })
+ */
+const readLocalSource = async (source, maxBytes) => {
+  const root = path.resolve(process.env.IMG_SOURCE_DIR);
+  const filePath = path.resolve(root, `.${path.posix.normalize(`/${source}`)}`);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw httpError('Source not found', 404);
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch {
+    throw httpError('Source not found', 404);
+  }
+  if (!stats.isFile()) {
+    throw httpError('Source not found', 404);
+  }
+  if (stats.size > maxBytes) {
+    throw httpError(`Source image too large. Maximum size is ${maxBytes} bytes.`, 413);
+  }
+
+  const buffer = await fs.readFile(filePath);
+  const originalname = path.basename(filePath);
+  return {
+    originalname,
+    mimetype: detectMimeType(buffer) || getMimeType(getExtension(originalname)),
+    buffer,
+    size: buffer.length
+  };
+};
+
+/**
+ * Load a source image from IMG_SOURCE_DIR or IMG_SOURCE_BASE_URL
+ * Sources cannot leave the configured directory or base URL.
+ * @param {string} source - Decoded source path
+ * @returns {Promise<Object>} Multer-like file object ({ buffer, mimetype, originalname, size })
+ * @throws {Error} 404 if no source is configured or the source does not exist
+ */
+const loadSource = async (source) => {
+  const maxBytes = parseInt(process.env.MAX_FILE_SIZE || '52428800', 10);
+
+  if (process.env.IMG_SOURCE_DIR) {
+    return readLocalSource(source, maxBytes);
+  }
+
+  const baseUrl = process.env.IMG_SOURCE_BASE_URL;
+  if (!baseUrl) {
+    throw httpError('No image source configured. Set IMG_SOURCE_DIR or IMG_SOURCE_BASE_URL.', 404);
+  }
+
+  const base = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const url = new URL(source.replace(/^\/+/, ''), base);
+  if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+    throw httpError('Source not found', 404);
+  }
+
+  try {
+    return await fetchRemoteImage(url.href, maxBytes);
+  } catch (error) {
+    // The upstream origin has no such image
+    if (error.upstreamStatus === 404) {
+      throw httpError('Source not found', 404);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  signPath,
+  verifySignature,
+  parseOperations,
+  decodeSource,
+  loadSource
+};
@@ -0,0 +1,79 @@
+/**
+ * SVG Sanitizer Utilities
+ * Strip active and external content from SVG uploads before ImageMagick sees them
+ *
+ * This is defense in depth on top of policy.xml: scripts, event handlers,
+ * embedded HTML, entity declarations and references to anything outside
+ * the document (hrefs with any namespace prefix, stylesheets, url() in
+ * stylesheets and attributes) are removed.
+ */
+
+// XML built-in entities and numeric character references are harmless
+const SAFE_ENTITY = /^&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);$/i;
+
+// Embedded raster images may stay inline, everything else must point into the document
+const SAFE_REFERENCE = /^\s*(?:#|data:image\/(?:png|jpeg|gif|webp);base64,)/i;
+
+/**
+ * Check whether an href/url() target stays inside the document
+ * @param {string} target - Reference value
+ * @returns {boolean} True if the reference is safe
+ */
+const isSafeReference = (target) => SAFE_REFERENCE.test(target);
+
+/**
+ * Neutralize CSS that could load external resources
+ * @param {string} css - Stylesheet text
+ * @returns {string} Sanitized stylesheet
+ */
+const sanitizeCss = (css) => css
+  .replace(/@import[^;]*;?/gi, '')
+  .replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (match, quote, target) => (isSafeReference(target) ? match : 'none'))
+  .replace(/expression\s*\(/gi, '');
+
+/**
+ * Run one pass of all replacements
+ * @param {string} svg - SVG markup
+ * @returns {string} SVG markup with one layer of unsafe content removed
+ */
+const sanitizePass = (svg) => svg
+  // DOCTYPE (with internal entity subset) and processing instructions other than <?xml ...?>
+  .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '')
+  .replace(/<\?(?!xml\s)[\s\S]*?\?>/gi, '')
+  .replace(/<!ENTITY[\s\S]*?>/gi, '')
+  // Active content
+  .replace(/<script\b[\s\S]*?(<\/script\s*>|\/>)/gi, '')
+  .replace(/<foreignObject\b[\s\S]*?(<\/foreignObject\s*>|\/>)/gi, '')
+  .replace(/\s+on\w+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+  // External references: href with any namespace prefix (xlink:href, a:href, ...)
+  .replace(/\s+(?:[\w.-]+:)?href\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, (match, value) => (
+    isSafeReference(value.replace(/^["']|["']$/g, '')) ? match : ''
+  ))
+  // url() in stylesheets and in any attribute (style, fill, filter, mask, clip-path, marker-*, ...)
+  .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)/gi, (match, open, css, close) => open + sanitizeCss(css) + close)
+  .replace(/(\s[\w:.-]+\s*=\s*)("[^"]*"|'[^']*'|[^\s"'>]+)/g, (match, attribute, value) => attribute + sanitizeCss(value))
+  // Unknown entity references (declarations are gone, so they could only fail or resolve externally)
+  .replace(/&[\w#.-]+;/g, entity => (SAFE_ENTITY.test(entity) ? entity : ''));
+
+/**
+ * Sanitize SVG content
+ * Passes are repeated until nothing changes, so markup that only becomes
+ * dangerous once an inner match is removed (e.g. <scr<script></script>ipt>)
+ * is caught as well. Every change shortens the text, so this terminates.
+ * @param {Buffer} buffer - SVG file content
+ * @returns {Buffer} Sanitized SVG content
+ */
+const sanitizeSvg = (buffer) => {
+  let previous;
+  let svg = buffer.toString('utf8');
+  do {
+    previous = svg;
+    svg = sanitizePass(svg);
+  } while (svg !== previous);
+
+  return Buffer.from(svg, 'utf8');
+};
+
+module.exports = {
+  sanitizeSvg
+};
@@ -0,0 +1,25 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A regular file where the cache directory should be, so it cannot be created
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+const blocker = path.join(tmpDir, 'file');
+fs.writeFileSync(blocker, '');
+process.env.CACHE_BACKEND = 'disk';
+process.env.CACHE_DIR = path.join(blocker, 'cache');
+process.env.LOG_LEVEL = 'error';
+
+const { getCacheStore } = require('../src/utils/cache');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('a disk cache that cannot be opened misses instead of rejecting', async () => {
+  const store = getCacheStore();
+
+  await store.set('key', { status: 200, headers: {}, body: Buffer.from('body') });
+  assert.strictEqual(await store.get('key'), null);
+  assert.strictEqual(store.stats().entries, 0);
+});
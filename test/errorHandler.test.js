@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/utils/logger');
+const errorHandler = require('../src/middleware/errorHandler');
+
+/**
+ * Run the error handler and capture its log line and response
+ * @param {Error} err - Error passed to the handler
+ * @returns {{level: string, meta: Object, status: number, body: Object}} Logged and sent data
+ */
+const handle = (err) => {
+  const result = {};
+  const original = { error: logger.error, warn: logger.warn };
+  logger.error = (message, meta) => Object.assign(result, { level: 'error', meta });
+  logger.warn = (message, meta) => Object.assign(result, { level: 'warn', meta });
+
+  const res = {
+    setHeader: () => {},
+    status: (status) => { result.status = status; return res; },
+    json: (body) => { result.body = body; return res; }
+  };
+  try {
+    errorHandler(err, { id: 'test', method: 'POST', originalUrl: '/resize' }, res, () => {});
+  } finally {
+    Object.assign(logger, original);
+  }
+  return result;
+};
+
+test('strips directories from logged messages and stacks', () => {
+  const err = new Error('ENOENT: no such file or directory, open \'/srv/app/tmpfiles/abc.png\'');
+  const { level, meta, status } = handle(err);
+
+  assert.strictEqual(status, 500);
+  assert.strictEqual(level, 'error');
+  assert.strictEqual(meta.error, 'ENOENT: no such file or directory, open \'<dir>/abc.png\'');
+  assert.doesNotMatch(meta.stack, /\/srv\/app\/|\/test\//);
+  assert.match(meta.stack, /<dir>\/errorHandler\.test\.js/);
+});
+
+test('logs client errors without a stack', () => {
+  const err = new Error('Invalid format');
+  err.statusCode = 400;
+  const { level, meta, body } = handle(err);
+
+  assert.strictEqual(level, 'warn');
+  assert.strictEqual(meta.stack, undefined);
+  assert.deepStrictEqual(body, { success: 0, errormessage: 'Invalid format' });
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.EXTRA_FORMATS = 'jp2, ICO,tif,jp2';
+process.env.LOG_LEVEL = 'error';
+
+const { initFormats, findFormat, getOutputFormats, getInputMimeTypes, canWrite, negotiateFormat, describeFormats } = require('../src/utils/formats');
+
+const magickFormats = [
+  { coder: 'PNG', read: true, write: true, multiFrame: false },
+  { coder: 'JPEG', read: true, write: true, multiFrame: false },
+  { coder: 'TIFF', read: true, write: true, multiFrame: true },
+  { coder: 'ICO', read: true, write: true, multiFrame: true },
+  { coder: 'JP2', read: true, write: true, multiFrame: false }
+];
+
+test('offers EXTRA_FORMATS coders as output with derived MIME types and extensions', () => {
+  initFormats(magickFormats, null, ['image/jp2', 'image/png']);
+
+  assert.deepStrictEqual(findFormat('image/jp2'), findFormat('jp2'));
+  assert.strictEqual(findFormat('jp2').mimeType, 'image/jp2');
+  assert.strictEqual(findFormat('ico').mimeType, 'image/x-ico');
+  assert.deepStrictEqual(findFormat('ico').extensions, ['ico']);
+  assert.strictEqual(findFormat('ico').multiFrame, true);
+  assert.ok(canWrite('jp2'));
+  assert.deepStrictEqual(getOutputFormats().slice(-2), ['jp2', 'ico']);
+});
+
+test('never accepts derived formats as input or picks them for format=auto', () => {
+  initFormats(magickFormats, null, ['image/jp2']);
+
+  assert.ok(!getInputMimeTypes({ documents: true }).includes('image/jp2'));
+  assert.strictEqual(negotiateFormat('image/jp2,*/*;q=0.1', { format: 'png' }), 'png');
+  const jp2 = describeFormats().formats.find(format => format.name === 'jp2');
+  assert.deepStrictEqual([jp2.read, jp2.write, jp2.derived], [false, true, true]);
+});
+
+test('skips catalog coders and coders ImageMagick does not list', () => {
+  initFormats(magickFormats.filter(format => format.coder !== 'JP2'));
+  assert.deepStrictEqual(describeFormats().formats.filter(format => format.derived).map(format => format.name), ['ico']);
+
+  initFormats(null);
+  assert.strictEqual(findFormat('ico'), undefined);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const imageSource = require('../src/middleware/imageSource');
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+
+/**
+ * Run the middleware and return the error it passes on
+ * @param {Function} middleware - imageSource middleware
+ * @param {Object} req - Request with body (and uploads)
+ * @returns {Promise<Error|undefined>} Error passed to next()
+ */
+const run = (middleware, req) => new Promise(resolve => middleware(req, {}, resolve));
+
+test('rejects an upload combined with a base64 or URL source with 400', async () => {
+  const uploaded = await run(imageSource(), { body: { imageUrl: 'https://example.com/a.png' }, file: { buffer: Buffer.alloc(1), size: 1 } });
+  assert.strictEqual(uploaded.statusCode, 400);
+  assert.match(uploaded.message, /Provide only one of "image"/);
+
+  const both = await run(imageSource(), { body: { image: PNG, imageUrl: 'https://example.com/a.png' } });
+  assert.strictEqual(both.statusCode, 400);
+});
+
+test('rejects image values of the wrong shape with 400', async () => {
+  const notString = await run(imageSource(), { body: { image: { data: PNG } } });
+  assert.strictEqual(notString.statusCode, 400);
+
+  const notArray = await run(imageSource(['frames'], { array: true }), { body: { frames: PNG } });
+  assert.strictEqual(notArray.statusCode, 400);
+  assert.match(notArray.message, /must be an array/);
+});
+
+test('decodes base64 images into uploads', async () => {
+  const req = { body: { frames: [PNG, `data:image/png;base64,${PNG}`] } };
+  assert.strictEqual(await run(imageSource(['frames'], { array: true }), req), undefined);
+  assert.deepStrictEqual(req.files.map(file => [file.mimetype, file.size]), [['image/png', 8], ['image/png', 8]]);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseIptc, parseXmp } = require('../src/utils/metadata');
+
+// JPEG with an APP13 (Photoshop/IPTC) and an APP1 (XMP) segment
+const FIXTURE = path.join(__dirname, 'fixtures/metadata.jpg');
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/**
+ * Get the payload of the first JPEG segment with the given marker and prefix
+ * @param {Buffer} jpeg - JPEG file
+ * @param {number} marker - Segment marker (e.g. 0xed for APP13)
+ * @param {string} prefix - Identifier at the start of the payload
+ * @returns {Buffer} Payload after the identifier
+ */
+const jpegSegment = (jpeg, marker, prefix) => {
+  let offset = 2;
+  while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff) {
+    const length = jpeg.readUInt16BE(offset + 2);
+    const payload = jpeg.subarray(offset + 4, offset + 2 + length);
+    if (jpeg[offset + 1] === marker && payload.toString('latin1', 0, prefix.length) === prefix) {
+      return payload.subarray(prefix.length);
+    }
+    offset += 2 + length;
+  }
+  throw new Error(`Segment ${marker.toString(16)} not found`);
+};
+
+const jpeg = fs.readFileSync(FIXTURE);
+
+const hasMagick = (() => {
+  try {
+    execFileSync('magick', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+test('decodes the IPTC application record of a Photoshop resource block', () => {
+  const iptc = parseIptc(jpegSegment(jpeg, 0xed, ''));
+
+  assert.deepStrictEqual(iptc, {
+    ObjectName: 'Python logo',
+    Keywords: ['python', 'logo'],
+    'By-line': ['Jane Doe'],
+    City: 'Zürich',
+    'Caption-Abstract': 'Test fixture with IPTC and XMP data',
+    CopyrightNotice: '© 2024 Example'
+  });
+});
+
+test('decodes raw IPTC data and keys unknown datasets by number', () => {
+  const dataset = (number, value) => Buffer.concat([Buffer.from([0x1c, 2, number, 0, value.length]), Buffer.from(value, 'latin1')]);
+  const iptc = parseIptc(Buffer.concat([dataset(105, 'Headline'), dataset(200, 'custom'), dataset(90, 'M\xfcnchen')]));
+
+  assert.deepStrictEqual(iptc, { Headline: 'Headline', '2:200': 'custom', City: 'München' });
+});
+
+test('parses the XMP packet into prefixed key/value pairs', () => {
+  const xmp = parseXmp(jpegSegment(jpeg, 0xe1, XMP_HEADER));
+
+  assert.deepStrictEqual(xmp, {
+    'xmp:CreatorTool': 'Fixture Builder 1.0',
+    'photoshop:City': 'Zürich',
+    'dc:title': 'Python logo',
+    'dc:creator': ['Jane Doe'],
+    'dc:subject': ['python', 'logo'],
+    'xmp:Rating': '4',
+    'Iptc4xmpCore:CreatorContactInfo': {
+      'Iptc4xmpCore:CiEmailWork': 'jane@example.com',
+      'Iptc4xmpCore:CiAdrCity': 'Zürich'
+    }
+  });
+});
+
+test('getImageInfo returns the decoded IPTC and XMP data', { skip: !hasMagick && 'ImageMagick is not installed' }, async () => {
+  const { getImageInfo } = require('../src/utils/imagemagick');
+  const info = await getImageInfo(FIXTURE);
+
+  assert.deepStrictEqual(info.iptc.Keywords, ['python', 'logo']);
+  assert.strictEqual(info.iptc.City, 'Zürich');
+  assert.strictEqual(info.xmp['dc:title'], 'Python logo');
+  assert.deepStrictEqual(info.xmp['dc:subject'], ['python', 'logo']);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSteps, checkStepSizes } = require('../src/utils/pipeline');
+
+// Defaults: MAX_WIDTH/MAX_HEIGHT 20000, MAX_PIXELS 100000000
+const tallImage = { width: 100, height: 1000 };
+
+test('rejects a width-only upscale whose derived height exceeds the limits', () => {
+  const steps = parseSteps([{ op: 'resize', width: 15000 }], 'png');
+  assert.throws(() => checkStepSizes(steps, tallImage), { statusCode: 422, message: /height 150000px/ });
+});
+
+test('rejects a height-only upscale that exceeds the pixel limit', () => {
+  const steps = parseSteps([{ op: 'resize', height: 19000 }], 'png');
+  assert.throws(() => checkStepSizes(steps, { width: 1000, height: 1000 }), { statusCode: 422, message: /pixels/ });
+});
+
+test('follows the size through crop and rotate steps', () => {
+  const steps = parseSteps([
+    { op: 'crop', mode: 'manual', width: 50, height: 1000, x: 0, y: 0 },
+    { op: 'rotate', operation: 'rotate', value: 90 },
+    { op: 'resize', height: 15000 }
+  ], 'png');
+  // After the rotation the image is 1000x50, so height 15000 means width 300000
+  assert.throws(() => checkStepSizes(steps, tallImage), { statusCode: 422, message: /width 300000px/ });
+});
+
+test('accepts resizes within the limits', () => {
+  const steps = parseSteps([{ op: 'resize', width: 1500 }, { op: 'resize', width: 15000, withoutEnlargement: true }], 'png');
+  assert.doesNotThrow(() => checkStepSizes(steps, tallImage));
+});
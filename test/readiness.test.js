@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.READY_CACHE_TTL = '0';
+process.env.LOG_LEVEL = 'error';
+
+const { getReadiness } = require('../src/utils/readiness');
+
+test('concurrent probes share one run of the checks', async () => {
+  const first = getReadiness();
+  assert.strictEqual(getReadiness(), first);
+
+  const result = await first;
+  assert.ok(result.checkedAt instanceof Date);
+  assert.deepStrictEqual(Object.keys(result.checks), ['magick', 'conversion', 'tmpDir', 'diskSpace', 'queue']);
+});
+
+test('runs the checks again once READY_CACHE_TTL has passed', async () => {
+  const first = await getReadiness();
+  assert.notStrictEqual(await getReadiness(), first);
+});
+
+test('reuses the result within READY_CACHE_TTL', async () => {
+  process.env.READY_CACHE_TTL = '60000';
+  const cached = await getReadiness();
+  assert.strictEqual(await getReadiness(), cached);
+});
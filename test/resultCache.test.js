@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CACHE_BACKEND = 'memory';
+process.env.CACHE_MAX_ENTRY_SIZE = '10';
+
+const { getCacheStore } = require('../src/utils/cache');
+const { captureResponse } = require('../src/middleware/resultCache');
+
+/**
+ * Create a minimal response that records what is written
+ * @returns {Object} Response with the methods captureResponse wraps
+ */
+const createResponse = () => {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    sent: [],
+    setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+    getHeaders: () => headers,
+    writeHead: () => res,
+    write: (chunk) => { res.sent.push(chunk); return true; },
+    end: (chunk) => { if (chunk) res.sent.push(chunk); return res; }
+  };
+  return res;
+};
+
+test('stores responses up to the maximum entry size', async () => {
+  const res = createResponse();
+  captureResponse(res, 'small');
+  res.write('12345');
+  res.end('678');
+
+  await new Promise(setImmediate);
+  const entry = await getCacheStore().get('small');
+  assert.strictEqual(entry.body.toString(), '12345678');
+});
+
+test('stops buffering a response once it exceeds the maximum entry size', async () => {
+  const res = createResponse();
+  captureResponse(res, 'large');
+  res.write('123456');
+  res.write('789012');
+  res.end('345');
+
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(res.sent, ['123456', '789012', '345']);
+  assert.strictEqual(await getCacheStore().get('large'), null);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseOperations } = require('../src/utils/signedUrl');
+const { parseSteps } = require('../src/utils/pipeline');
+
+test('maps imgproxy resizing types to resize fits', () => {
+  const fits = ['fit', 'fill', 'force', 'auto', ''].map(type => parseOperations([`rs:${type}:300:200`])[0].fit);
+  assert.deepStrictEqual(fits, ['inside', 'cover', 'fill', 'cover', 'inside']);
+  assert.strictEqual(parseOperations(['rs:auto:300:0'])[0].fit, 'inside');
+});
+
+test('does not enlarge unless enlarge is set', () => {
+  const [resize] = parseOperations(['rs:fill:300:200:0']);
+  assert.strictEqual(resize.withoutEnlargement, true);
+  assert.strictEqual(resize.extend, false);
+
+  const [enlarged] = parseOperations(['rs:fill:300:200:1:t']);
+  assert.strictEqual(enlarged.withoutEnlargement, false);
+  assert.strictEqual(enlarged.extend, true);
+});
+
+test('standard imgproxy resize URLs pass pipeline validation', () => {
+  const [resize] = parseSteps(parseOperations(['rs:fill:300:200:0', 'g:noea']), 'png');
+  assert.strictEqual(resize.fit, 'cover');
+  assert.strictEqual(resize.gravity, 'northeast');
+  assert.strictEqual(resize.withoutEnlargement, true);
+});
+
+test('applies gravity to every resize regardless of position', () => {
+  const steps = parseOperations(['g:so', 'rs:fill:100:100', 'rs:fit:50:50']);
+  assert.deepStrictEqual(steps.map(step => step.gravity), ['south', 'south']);
+  assert.strictEqual(parseOperations(['rs:fill:10:10', 'gravity:sm'])[0].gravity, 'center');
+});
+
+test('rejects unknown resizing and gravity types with 400', () => {
+  for (const segments of [['rs:bogus:1:1'], ['g:north'], ['g:ce:10:5']]) {
+    assert.throws(() => parseOperations(segments), { statusCode: 400 });
+  }
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sanitizeSvg } = require('../src/utils/svgSanitizer');
+
+const sanitize = svg => sanitizeSvg(Buffer.from(svg, 'utf8')).toString('utf8');
+
+test('removes scripts that only appear once an inner script is removed', () => {
+  assert.strictEqual(sanitize('<svg><scr<script></script>ipt>alert(1)</script></svg>'), '<svg></svg>');
+});
+
+test('removes external hrefs with any namespace prefix', () => {
+  const svg = sanitize('<svg xmlns:a="http://www.w3.org/1999/xlink"><image a:href="file:///etc/passwd"/>'
+    + '<use xlink:href="http://evil/x.svg#a"/><image href="https://evil/x.png"/></svg>');
+
+  assert.ok(!svg.includes('passwd'), svg);
+  assert.ok(!svg.includes('evil'), svg);
+  assert.ok(svg.includes('xmlns:a="http://www.w3.org/1999/xlink"'), 'namespace declarations are kept');
+});
+
+test('keeps references into the document and embedded images', () => {
+  const svg = '<svg><use href="#shape"/><image a:href="data:image/png;base64,iVBORw0KGgo="/></svg>';
+  assert.strictEqual(sanitize(svg), svg);
+});
+
+test('neutralizes url() in presentation attributes', () => {
+  const svg = sanitize('<svg><rect fill="url(http://evil/x.svg#a)" stroke=\'url(file:///etc/passwd)\''
+    + ' filter="url(https://evil/f.svg#f)" mask="url( http://evil/m )" clip-path="url(http://evil/c)"'
+    + ' marker-start="url(http://evil/m.svg#s)"/></svg>');
+
+  assert.ok(!/evil|passwd/.test(svg), svg);
+  assert.match(svg, /fill="none"/);
+  assert.match(svg, /marker-start="none"/);
+});
+
+test('keeps url() references to elements of the document', () => {
+  const svg = '<svg><rect fill="url(#gradient)" style="filter: url(\'#blur\')"/></svg>';
+  assert.strictEqual(sanitize(svg), svg);
+});
+
+test('neutralizes url() in style attributes and stylesheets', () => {
+  const svg = sanitize('<svg><style>@import "http://evil/a.css"; rect { fill: url(http://evil/p) }</style>'
+    + '<rect style="fill:url(http://evil/q)"/></svg>');
+
+  assert.ok(!svg.includes('evil'), svg);
+});